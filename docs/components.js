@@ -53,6 +53,35 @@ export default div(
       div({ style: 'color: limegreen' }, 'こんにちは ', div('world!'))
     )
   ),
+  contentSection('Html Templates',
+    p('If you prefer markup, the ', code('html'), ' tagged template from fnhtml.mjs creates the same elements as h. ' +
+      'The markup is parsed once for each place the template is used.'),
+    prismCode(`import { html } from './fnhtml.mjs'
+
+const userCard = ( user, selected ) => html\`
+    <div class=\${selected.bindAttr( () => selected() ? 'card selected' : 'card' )} onclick=\${() => selected( !selected() )}>
+        <b style=\${{ color: user.color }}>\${user.name}</b>
+        <ul>\${user.tags.map( tag => html\`<li>\${tag}</li>\` )}</ul>
+    </div>
+\``),
+    'Values can be used as attributes, event handlers, styles, and children, including arrays, promises, and bound states. ' +
+    'A bound attribute must be the entire value of the attribute, values mixed with text are converted to a string when the element is created. ' +
+    'A function can be used as the tag, it receives the attributes and children like the element functions, and can be closed with <//>.'
+  ),
+  contentSection('JSX',
+    p('fntags includes an automatic jsx runtime. Set the jsx import source of your compiler to ', code('@srfnstack/fntags'),
+      ', i.e. ', code('esbuild --jsx=automatic --jsx-import-source=@srfnstack/fntags'), '.'),
+    prismCode(`const Greeting = ( { name, children } ) =>
+    <div className="greeting" style={{ color: 'green' }} onClick={() => console.log( 'hi' )}>
+        Hello {name.bindAs()}
+        {children}
+    </div>
+
+document.body.append( <Greeting name={userName}><svg><circle r={5}/></svg></Greeting> )`),
+    'Elements are created with h, so anything that works as an attribute or child of h, including bound states, works in jsx. ' +
+    'className, htmlFor, and camel case event handlers are supported so React style code can be moved over as is. ' +
+    'Function components receive the props and children, fragments render their children without a wrapping element, and svg elements are created in the svg namespace.'
+  ),
   contentSection('Async Rendering',
     'A promise can be passed to h or any fnelement function and fntags will place the element on the page when the promise resolves.',
     'The promise should resolve to any valid input to h. Promises will continue to be resolved until a non promise is returned.',
@@ -74,6 +103,64 @@ export default div(
     )
     )
   ),
+  contentSection('Loading and Error Fallbacks',
+    p('Wrap a promise with ', code('fnasync'), ' to render a loading placeholder until it resolves, and an error fallback if it fails. ' +
+      'Pass a timeout to render the error fallback when the promise takes too long.'),
+    prismCode(`div(
+    fnasync(
+        fetch( '/api/profile' ).then( res => res.json() ).then( profile => div( profile.name ) ),
+        {
+            loading: () => span( 'Loading...' ),
+            error: e => span( \`Failed to load the profile: \${e.message}\` ),
+            timeout: 10000
+        }
+    )
+)`),
+    p('Use ', code('setAsyncDefaults'), ' to set the fallbacks and timeout for every promise child. Options passed to fnasync take precedence.'),
+    prismCode(`setAsyncDefaults( {
+    loading: () => span( { class: 'spinner' } ),
+    error: e => span( { class: 'error' }, 'Something went wrong' ),
+    timeout: 30000
+} )`)
+  ),
+  contentSection('Context',
+    p('Use ', code('fncontext'), ' to make a value, like the theme or the current user, available to every component rendered inside of a provider ' +
+      'without passing it through every function in between.'),
+    prismCode(`const theme = fncontext( 'light' )
+const themedButton = ( ...children ) => button( { class: \`btn-\${theme()}\` }, ...children )
+
+theme.provide( 'dark', () =>
+    div(
+        themedButton( 'Save' ),
+        // elements rendered later by bindAs, bindChildren, and routes can read the context too
+        cart.bindAs( () => themedButton( \`Checkout \${cart().length} items\` ) )
+    )
+)`),
+    p('The value can also be an fnstate that components bind to. To read a context in a callback that runs later, like a promise callback, ' +
+      'call ', code('captureContext'), ' while rendering and use the returned function to run the callback.')
+  ),
+  contentSection('Error Boundaries',
+    p('Wrap part of a page with ', code('fnboundary'), ' to render a fallback instead when rendering it, or updating one of its bindings, throws an error. ' +
+      'The error is passed to onerror, and the other observers of the state are still updated.'),
+    prismCode(`fnboundary(
+    () => div( user.bindAs( u => span( u.profile.name ) ) ),
+    {
+        fallback: ( e, retry ) => button( { onclick: retry }, 'Something went wrong, try again' ),
+        onerror: e => reportError( e )
+    }
+)`),
+    'After an error, the content is rendered again the next time a state bound inside of it changes, or when the retry function passed to the fallback is called. ' +
+    'The content is placed in a div with display: contents so it can be swapped with the fallback.'
+  ),
+  contentSection('Lifecycle Hooks',
+    p('Use the ', code('onmount'), ' and ', code('onunmount'), ' attributes to run code when an element is added to or removed from the document. ' +
+      'The hook receives the element as the only argument.'),
+    'Hooks are also called for elements swapped in by bindAs and for items added or removed by bindChildren.',
+    prismCode(`input( {
+    onmount: el => el.focus(),
+    onunmount: el => console.log( 'bye', el )
+} )`)
+  ),
   contentSection('fntemplate',
     'The fntemplate function allows creating high performance re-usable templates for situations where elements with the same structure are created over and over again.',
     'It works by executing the provided template function to create a compiled element, then cloning that element when the compiled template function is called.',
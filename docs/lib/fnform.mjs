@@ -0,0 +1,201 @@
+import { addListener, batch, fncomputed, fnstate } from './fntags.mjs'
+
+/**
+ * Create a form model that holds the values of the fields, tracks whether each field is touched or dirty, runs validators,
+ * and tracks the submission state.
+ *
+ * Every piece of state is an fnstate and can be bound to like any other state. Fields are validated when they are created and
+ * whenever their value changes, use the touched state of a field to decide when to show its error. For example
+ *
+ *  const signup = fnform({
+ *    values: { email: '', age: 18 },
+ *    validators: {
+ *      email: [v => !v && 'Email is required', v => checkEmailAvailable(v)],
+ *      age: v => v < 18 && 'You must be an adult'
+ *    }
+ *  })
+ *
+ *  form({ onsubmit: signup.submit(values => api.signup(values)) },
+ *    input({ value: signup.fields.email.bindValue() }),
+ *    signup.fields.email.error.bindAs(() => span(signup.fields.email.touched() && signup.fields.email.error() || '')),
+ *    button({ disabled: signup.isValid.bindAttr(() => !signup.isValid() || signup.isSubmitting()) }, 'Sign Up')
+ *  )
+ *
+ * Validators receive the value of the field and the values of all fields. They return an error message, or a falsy value if the
+ * field is valid, or a promise that resolves to either. When a field has multiple validators, the first error is used.
+ *
+ * @param options.values {object} The initial values of the fields, by field name
+ * @param [options.validators] {object} A validator function, or an array of validator functions, by field name
+ * @returns {{fields: object, values: function(): object, isValid: function, isValidating: function, isSubmitting: function, submitError: function,
+ * validate: function(): Promise<boolean>, submit: function(function(object): *): function(Event=): Promise<boolean>, reset: function()}}
+ */
+export const fnform = ({ values, validators = {} } = {}) => {
+  if (!values || typeof values !== 'object') {
+    throw new Error('You must pass the initial values of the fields to fnform.')
+  }
+  const fields = {}
+  for (const name in values) {
+    fields[name] = createField(name, values[name], validators[name], () => getValues(fields))
+  }
+  const fieldList = Object.values(fields)
+
+  const isValidating = fncomputed(fieldList.map(f => f.validating), (...validating) => validating.some(v => v))
+  const isValid = fncomputed(
+    [isValidating, ...fieldList.map(f => f.error)],
+    (validating, ...errors) => !validating && errors.every(e => !e)
+  )
+  const isSubmitting = fnstate(false)
+  const submitError = fnstate(null)
+
+  const validate = () => Promise.all(fieldList.map(f => f.validate())).then(errors => errors.every(e => !e))
+
+  return {
+    fields,
+    /**
+     * Get the current values of all of the fields
+     */
+    values: () => getValues(fields),
+    isValid,
+    isValidating,
+    isSubmitting,
+    submitError,
+    /**
+     * Run the validators of every field
+     * @returns {Promise<boolean>} Whether all of the fields are valid
+     */
+    validate,
+    /**
+     * Create a submit handler that marks every field as touched, validates the form, then calls the handler with the values if the form is valid.
+     * The default action of the event passed to the returned function is prevented, so it can be used directly as an onsubmit handler.
+     *
+     * isSubmitting is true from the time the form is validated until the promise returned by the handler settles. If the handler fails, the error is set on submitError.
+     * @param handler {function(object): *} The function to call with the values of the form
+     * @returns {function(Event=): Promise<boolean>} A function that resolves to whether the form was submitted successfully
+     */
+    submit: handler => async (e) => {
+      if (e && typeof e.preventDefault === 'function') {
+        e.preventDefault()
+      }
+      if (isSubmitting()) {
+        return false
+      }
+      batch(() => {
+        for (const field of fieldList) field.touched(true)
+        submitError(null)
+        // set before validating, so submitting again while async validators run is ignored
+        isSubmitting(true)
+      })
+      try {
+        if (!await validate()) {
+          return false
+        }
+        await handler(getValues(fields))
+        return true
+      } catch (err) {
+        submitError(err)
+        return false
+      } finally {
+        isSubmitting(false)
+      }
+    },
+    /**
+     * Reset every field to its initial value and clear the touched state. The fields are validated again with their initial values
+     */
+    reset: () => batch(() => {
+      for (const field of fieldList) field.reset()
+      submitError(null)
+    })
+  }
+}
+
+const getValues = fields => {
+  const values = {}
+  for (const name in fields) values[name] = fields[name].value()
+  return values
+}
+
+const errorMessage = e => e && e.message ? e.message : String(e)
+
+const isSame = (a, b) => a === b || JSON.stringify(a) === JSON.stringify(b)
+
+function createField (name, initialValue, validators, getAllValues) {
+  validators = validators === undefined ? [] : [].concat(validators)
+  if (validators.some(v => typeof v !== 'function')) {
+    throw new Error(`The validators for field ${name} must be functions.`)
+  }
+  const value = fnstate(initialValue)
+  const error = fnstate(null)
+  const touched = fnstate(false)
+  const validating = fnstate(false)
+  const dirty = fncomputed([value], v => !isSame(v, initialValue))
+  // used to ignore the results of validations that finished after a newer validation started
+  let validationId = 0
+  let latestValidation = null
+
+  const validate = () => {
+    latestValidation = runValidators(++validationId)
+    return latestValidation
+  }
+
+  const runValidators = async (id) => {
+    const currentValue = value()
+    const allValues = getAllValues()
+    let result = null
+    for (const validator of validators) {
+      try {
+        result = validator(currentValue, allValues)
+      } catch (e) {
+        result = errorMessage(e)
+      }
+      if (result && typeof result.then === 'function') {
+        validating(true)
+        try {
+          result = await result
+        } catch (e) {
+          result = errorMessage(e)
+        }
+        if (id !== validationId) {
+          return latestValidation
+        }
+      }
+      if (result) break
+    }
+    batch(() => {
+      error(result || null)
+      validating(false)
+    })
+    return result || null
+  }
+
+  value.subscribe(() => {
+    validate()
+  })
+  // validate the initial value so isValid is correct before the user changes anything
+  validate()
+
+  return {
+    name,
+    value,
+    error,
+    touched,
+    dirty,
+    validating,
+    validate,
+    /**
+     * Two way bind the value of this field to a form element, the field is marked as touched when the element loses focus
+     */
+    bindValue: () => {
+      const boundValue = value.bindValue()
+      const init = boundValue.init
+      boundValue.init = (element) => {
+        init(element)
+        addListener(element, 'blur', () => touched(true))
+      }
+      return boundValue
+    },
+    reset: () => {
+      value(initialValue)
+      touched(false)
+    }
+  }
+}
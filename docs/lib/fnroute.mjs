@@ -1,4 +1,4 @@
-import { fnstate, getAttrs, h, isAttrs, renderNode } from './fntags.mjs'
+import { captureContext, fnstate, getAttrs, h, isAttrs, renderNode } from './fntags.mjs'
 
 /**
  * An element that is displayed only if the the current route starts with elements path attribute.
@@ -36,14 +36,15 @@ export const route = (...children) => {
   if (!path) {
     throw new Error('route must have a string path attribute')
   }
-  routeEl.updateRoute = () => {
+  const inContext = captureContext()
+  routeEl.updateRoute = () => inContext(() => {
     while (routeEl.firstChild) {
       routeEl.removeChild(routeEl.firstChild)
     }
     // this forces a re-render on route change
     routeEl.append(...children.map(c => renderNode(typeof c === 'function' ? c() : c)))
     routeEl.style.display = display
-  }
+  })
   return routeEl
 }
 
@@ -91,6 +92,7 @@ const moduleCache = {}
 
 export const modRouter = ({ routePath, attrs, onerror, frame, sendRawPath, formatPath }) => {
   const container = h('div', attrs || {})
+  const inContext = captureContext()
   if (!routePath) {
     throw new Error('You must provide a root url for modRouter. Routes in the ui will be looked up relative to this url.')
   }
@@ -111,7 +113,7 @@ export const modRouter = ({ routePath, attrs, onerror, frame, sendRawPath, forma
         return m
       })
 
-    p.then(module => {
+    p.then(module => inContext(() => {
       const route = module.default
       if (route) {
         while (container.firstChild) {
@@ -125,7 +127,7 @@ export const modRouter = ({ routePath, attrs, onerror, frame, sendRawPath, forma
           container.append(node)
         }
       }
-    })
+    }))
       .catch(err => {
         while (container.firstChild) {
           container.removeChild(container.firstChild)
@@ -178,17 +180,27 @@ export const fnlink = (...children) => {
   if (children[0] && children[0].context) {
     context = children[0].context
   }
-  const a = h('a', ...children)
+  const navigate = (e) => {
+    e.preventDefault()
+    e.stopPropagation()
+    goTo(to, context)
+  }
+  // pass the listener as an attribute so it is kept when the link is hydrated
+  const attrs = getAttrs(children)
+  const onclick = typeof attrs.onclick === 'function'
+    ? (e) => {
+        attrs.onclick(e)
+        navigate(e)
+      }
+    : navigate
+  const a = isAttrs(children[0])
+    ? h('a', Object.assign({}, attrs, { onclick }), ...children.slice(1))
+    : h('a', { onclick }, ...children)
 
   const to = a.getAttribute('to')
   if (!to) {
     throw new Error('fnlink must have a "to" string attribute').stack
   }
-  a.addEventListener('click', (e) => {
-    e.preventDefault()
-    e.stopPropagation()
-    goTo(to, context)
-  })
   a.setAttribute(
     'href',
     makePath(to)
@@ -259,7 +271,9 @@ export const pathState = fnstate(
     rootPath: ensureOnlyLeadingSlash(window.location.pathname),
     currentRoute: ensureOnlyLeadingSlash(window.location.pathname),
     context: null
-  })
+  },
+  // don't re-render the routes when navigating to the current route
+  { equals: 'identity' })
 
 export const beforeRouteChange = 'beforeRouteChange'
 export const afterRouteChange = 'afterRouteChange'
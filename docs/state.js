@@ -1,4 +1,4 @@
-import { fnstate } from './lib/fntags.mjs'
+import { fncomputed, fnstate } from './lib/fntags.mjs'
 import { br, button, code, div, input, span } from './lib/fnelements.mjs'
 import prismCode from './prismCode.js'
 import contentSection from './contentSection.js'
@@ -14,6 +14,8 @@ const peeps = fnstate(
   ],
   peep => peep.name
 )
+const fruit = fnstate(['Apple', 'Banana', 'Blueberry', 'Cherry'], f => f)
+const logs = fnstate(Array.from({ length: 100000 }, (v, i) => ({ id: i, message: `Log entry ${i}` })), log => log.id)
 
 export default div(
   contentSection(
@@ -36,7 +38,12 @@ export default div(
       code('state.bindAs'),
       ' to bind the state with an element'),
     prismCode('count.bindAs( () => div(\'Current count: \', count()))'),
-    'When the state is changed, the passed function is executed, and the current element is replaced with the newly returned element.'
+    'When the state is changed, the passed function is executed, and the current element is replaced with the newly returned element.',
+    'The function can also return an array, a fragment, or null to render any number of elements without a wrapping element. ' +
+    'These are placed between two comments that mark where the elements are rendered.',
+    prismCode(`div( { style: 'display: flex' },
+    loggedIn.bindAs( () => loggedIn() ? [profileLink(), logoutButton()] : null )
+)`)
   ),
   contentSection('Binding Attributes',
     span('If you only want to change the attributes of an element based on an fnstate, you can bind updates to individual attributes using the ',
@@ -143,37 +150,226 @@ return div(
       'const userData = fnstate({name: "bob"})\n' +
       'userData.assign({name:"Jerry"})')
   ),
-  contentSection('Two Way Binding',
-    span('The easiest way to do two way binding on an input is via the ',
-      code('state.bindAttr'),
-      ' function.'),
-    prismCode(`const name = fnstate( 'Jerry' )
+  contentSection('Skipping Unchanged Values',
+    'By default, observers are notified every time a state is set, even if the value didn\'t change. ' +
+    'Pass the equals option to skip updates that don\'t change the value. The states created by bindChildren use the same equality.',
+    prismCode(`// compare values using ===
+const route = fnstate( '/home', { equals: 'identity' } )
+
+// compare the entries of arrays and plain objects using ===
+const filters = fnstate( { text: '', tags: [] }, { equals: 'shallow' } )
+
+// compare arrays and plain objects recursively
+const settings = fnstate( { user: { name: 'Jerry' } }, { equals: 'deep' } )
+
+// or use your own comparator
+const user = fnstate( { id: 1, name: 'Jerry' }, { equals: ( a, b ) => a.id === b.id } )`),
+    'assign and setPath compare the values they set. Objects that are modified in place and set again are always considered changed.'
+  ),
+  contentSection('Binding Paths',
+    'When a state holds a large object, use bindPath and bindAttrPath to bind to the value at a property path. ' +
+    'These bindings are only updated when the value at the path changes, so setting other fields doesn\'t re-render them.',
+    prismCode(`const settings = fnstate( { user: { name: 'Jerry', address: { city: 'Denver' } }, theme: 'dark' } )
+
+div(
+    { class: settings.bindAttrPath( 'theme', theme => \`theme-\${theme}\` ) },
+    settings.bindPath( 'user.address.city', city => span( city ) )
+)
+
+settings.subscribePath( 'user.address.city', ( city, oldCity ) => console.log( \`moved from \${oldCity} to \${city}\` ) )
+
+// only the theme attribute is updated
+settings.setPath( 'theme', 'light' )`),
+    'Objects are considered changed when they are replaced, or when they or any of their children are set using setPath or assign. ' +
+    'If you modify an object in place, use setPath to set it so the bindings are updated.'
+  ),
+  contentSection('Computed State',
+    span('Use ',
+      code('fncomputed'),
+      ' to create a read only state whose value is derived from one or more other states. ' +
+      'The compute function receives the current value of each state and is only re-executed when one of them changes.'),
+    prismCode(`const price = fnstate( 10 )
+const quantity = fnstate( 2 )
+const total = fncomputed(
+    [ price, quantity ],
+    ( price, quantity ) => price * quantity
+)
+
 return div(
-   'Hello ', name.bindAs(),
+   'Total: ', total.bindAs(),
    br(),
    input(
        {
-           value: name.bindAttr(),
-           oninput:
-               ( e ) => name( e.target.value )
+           type: 'number',
+           value: quantity(),
+           oninput: ( e ) => quantity( parseInt( e.target.value ) || 0 )
        }
    )
 )`,
     (() => {
-      const name = fnstate('Jerry')
+      const price = fnstate(10)
+      const quantity = fnstate(2)
+      const total = fncomputed(
+        [price, quantity],
+        (price, quantity) => price * quantity
+      )
+
       return div(
-        'Hello ', name.bindAs(),
+        'Total: ', total.bindAs(),
         br(),
         input(
           {
-            value: name.bindAttr(),
-            oninput:
-                (e) => name(e.target.value)
+            type: 'number',
+            value: quantity(),
+            oninput: (e) => quantity(parseInt(e.target.value) || 0)
           }
         )
       )
     })()
-    )
+    ),
+    span('Computed states cannot be set directly. Call ',
+      code('state.dispose'),
+      ' to stop listening to the source states when the computed state is no longer needed.')
+  ),
+  contentSection('Batching Updates',
+    span('Every state change notifies the observers of the state immediately. To make several changes and only notify observers once, make the changes inside of a ',
+      code('batch'),
+      ' call.'),
+    prismCode(`batch( () => {
+    user.setPath( 'firstName', 'Jerry' )
+    user.setPath( 'lastName', 'Smith' )
+    cart( [] )
+} )`),
+    'The observers of each changed state are notified once, with the final value, when the outermost batch completes.'
+  ),
+  contentSection('Two Way Binding',
+    span('The easiest way to do two way binding on a form element is via the ',
+      code('state.bindValue'),
+      ' function. The element is updated when the state changes, and the state is updated when the user changes the element.'),
+    prismCode(`const name = fnstate( 'Jerry' )
+const subscribed = fnstate( true )
+return div(
+   'Hello ', name.bindAs(),
+   br(),
+   input( { value: name.bindValue() } ),
+   input( { type: 'checkbox', checked: subscribed.bindValue() } ),
+   subscribed.bindAs( () => subscribed() ? ' subscribed' : ' not subscribed' )
+)`,
+    (() => {
+      const name = fnstate('Jerry')
+      const subscribed = fnstate(true)
+      return div(
+        'Hello ', name.bindAs(),
+        br(),
+        input({ value: name.bindValue() }),
+        input({ type: 'checkbox', checked: subscribed.bindValue() }),
+        subscribed.bindAs(() => subscribed() ? ' subscribed' : ' not subscribed')
+      )
+    })()
+    ),
+    'Checkboxes are bound to a boolean, or to whether an array state contains the checkbox value. Radios are checked when the state equals their value, and multiple selects are bound to an array of the selected values. ' +
+    'Number and range inputs update the state with numbers.',
+    span('To bind to a value inside of an object, use ',
+      code('state.bindValuePath'),
+      '.'),
+    prismCode('input( { value: user.bindValuePath( \'address.city\' ) } )')
+  ),
+  contentSection('Loading Data',
+    'Use fnresource to load data with an async fetcher. The resource has read only data, loading, and error states that can be bound to, ' +
+    'and the data is fetched again whenever one of the dependency states changes. If requests race, only the latest response is used.',
+    prismCode(`const userId = fnstate( 1 )
+const user = fnresource(
+    ( id, { signal } ) => fetch( \`/users/\${id}\`, { signal } ).then( r => r.json() ),
+    {
+        deps: [userId],
+        render: user => div( user.name ),
+        loading: () => span( 'Loading...' ),
+        error: ( e, refetch ) => button( { onclick: refetch }, 'Try again' )
+    }
+)
+
+// render the loading fallback, the data, or the error fallback
+div( user )
+
+button( { disabled: user.loading.bindAttr() }, 'Next' )`),
+    'Call refetch to fetch the data again, and mutate to set the data directly, i.e. after an optimistic update. Call dispose to stop listening to the dependencies.'
+  ),
+  contentSection('Persisting State',
+    'Pass an options object with a persist option to store the value of a state in localStorage or sessionStorage. ' +
+    'The stored value is restored when the state is created, and changes are written after a short debounce.',
+    prismCode(`const prefs = fnstate(
+    { theme: 'dark' },
+    {
+        persist: {
+            key: 'prefs',
+            storage: 'local',
+            version: 2,
+            migrate: ( old, version ) => ( { theme: old.dark ? 'dark' : 'light' } ),
+            onerror: e => console.warn( 'Preferences not saved', e )
+        }
+    }
+)`),
+    'When the stored version is different than the current version, the migrate function is used to upgrade the stored value. ' +
+    'If the stored value is corrupted, can\'t be migrated, or has a different version and there is no migrate function, the state uses the initial value, and onerror is called with the error. ' +
+    'When using options, pass the mapKey function as the mapKey option.'
+  ),
+  contentSection('Syncing Tabs',
+    'Pass a channel name as the sync option to keep a state in sync with the states using the same channel in other tabs of the same origin. ' +
+    'Updates from other tabs are set on the state like any other update, so all of the bindings are updated, and they aren\'t sent back to the tab they came from.',
+    prismCode(`const session = fnstate( { user: null }, { sync: 'session' } )
+
+// log out of every tab
+session( { user: null } )`),
+    'Values are sent as JSON, using a BroadcastChannel, or storage events in browsers that don\'t support BroadcastChannel. ' +
+    'Combine it with the persist option to also restore the value when a new tab is opened. ' +
+    'Call stopSync on the state to close the channel once the state is no longer used, i.e. when it belongs to a component that is removed.'
+  ),
+  contentSection('Undo and Redo',
+    'Use fnhistory to record the changes made to a state so they can be undone and redone. ' +
+    'A snapshot of the value is recorded for each change, so changes made to the current value in place don\'t affect the history.',
+    prismCode(`const doc = fnstate( { title: '', body: '' } )
+const history = fnhistory( doc, { limit: 50 } )
+
+div(
+    button( { onclick: history.undo, disabled: history.canUndo.bindAttr( () => !history.canUndo() ) }, 'Undo' ),
+    button( { onclick: history.redo, disabled: history.canRedo.bindAttr( () => !history.canRedo() ) }, 'Redo' )
+)
+
+// record both changes as one entry
+history.group( () => {
+    doc.setPath( 'title', 'Hello' )
+    doc.setPath( 'body', 'World' )
+} )`),
+    'Changes made in a batch are also recorded as one entry. Call clear to forget the recorded changes, and dispose to stop recording.'
+  ),
+  contentSection('Forms',
+    span('The ',
+      code('fnform'),
+      ' function in fnform.mjs creates a form model with a state for the value, error, touched, and dirty status of each field, ' +
+      'along with isValid and isSubmitting states for the whole form.'),
+    prismCode(`const signup = fnform( {
+    values: { email: '' },
+    validators: {
+        email: [
+            v => !v && 'Email is required',
+            v => checkEmailAvailable( v )
+        ]
+    }
+} )
+const email = signup.fields.email
+
+return form(
+   { onsubmit: signup.submit( values => api.signup( values ) ) },
+   input( { value: email.bindValue() } ),
+   email.error.bindAs(
+       () => span( email.touched() && email.error() || '' )
+   ),
+   button(
+       { disabled: signup.isValid.bindAttr( () => !signup.isValid() ) },
+       'Sign Up'
+   )
+)`),
+    'Validators return an error message, a falsy value when the field is valid, or a promise that resolves to either. Results of async validators that finish after the value changed again are ignored.'
   ),
   contentSection('Binding Lists',
     span('Call ',
@@ -326,6 +522,61 @@ return div(
     )
     )
   ),
+  contentSection('Changing Lists',
+    span('Setting a new array compares every key to find what changed. When you already know what changed, call ',
+      code('push'), ', ', code('insertAt'), ', ', code('removeByKey'), ', ', code('move'), ', ', code('updateByKey'), ', or ', code('sort'),
+      ' on the state instead. These set a new array and tell bindChildren exactly which elements to touch, so pushing an item renders one element and leaves the rest alone.'),
+    'Items are found by the key returned from mapKey. updateByKey sets the state of the item, so only the bindings of that item are updated. The key of an item can\'t be changed this way.',
+    prismCode(`peeps.push( { name: 'Steve', crashes: 0 } )
+peeps.insertAt( 0, { name: 'Amy', crashes: 2 } )
+peeps.updateByKey( 'Jerry', peep => ( { ...peep, crashes: peep.crashes + 1 } ) )
+peeps.move( 0, 3 )
+peeps.sort( ( a, b ) => a.crashes - b.crashes )
+peeps.removeByKey( 'Greg' )`)
+  ),
+  contentSection('Virtual Lists',
+    span('bindChildren creates an element for every value of the array. For very large arrays, call ',
+      code('state.bindVirtualChildren'),
+      ' instead to only render the elements that are visible in a scroll container, plus a few above and below.'),
+    'Pass rowHeight when every element has the same height. Otherwise the elements are measured after they render, and estimatedRowHeight is used for the rest. Elements are matched by key and select works the same as with bindChildren.',
+    span('Call ', code('state.scrollToKey(key)'), ' to scroll an element into view. When values are added above the visible elements, the visible elements stay where they are.'),
+    prismCode(`const logs = fnstate( entries, log => log.id )
+
+div(
+    logs.bindVirtualChildren(
+        div( { style: 'height: 200px; overflow: auto' } ),
+        log => div( { style: 'height: 24px' }, log().message ),
+        { rowHeight: 24 }
+    ),
+    button( { onclick: () => logs.scrollToKey( 50000, 'start' ) }, 'Go to 50000' )
+)`,
+    div(
+      logs.bindVirtualChildren(
+        div({ style: 'height: 200px; overflow: auto' }),
+        log => div({ style: 'height: 24px' }, log().message),
+        { rowHeight: 24 }
+      ),
+      button({ onclick: () => logs.scrollToKey(50000, 'start') }, 'Go to 50000')
+    )
+    )
+  ),
+  contentSection('Transitions',
+    span('Pass the parent of bindChildren, or the element function of bindAs, to ',
+      code('fntransition'),
+      ' to animate the elements that are added, removed, and moved using css classes.'),
+    'Added elements get the {name}-enter-from and {name}-enter-active classes, then {name}-enter-from is swapped for {name}-enter-to on the next frame. Removed elements get the matching leave classes and stay in the document until their transition ends. Children that change position are moved from where they were with the {name}-move class.',
+    prismCode(`.fade-enter-active, .fade-leave-active { transition: opacity 300ms }
+.fade-enter-from, .fade-leave-to { opacity: 0 }
+.fade-leave-active { position: absolute }
+.fade-move { transition: transform 300ms }`),
+    prismCode(`peeps.bindChildren(
+    fntransition( div(), 'fade' ),
+    peep => div( peep().name )
+)
+
+page.bindAs( fntransition( () => pages[ page() ](), { name: 'fade', duration: 300 } ) )`),
+    'The duration is read from the computed style of the element when it isn\'t passed. Pass move: false to skip the move animation.'
+  ),
   contentSection('Selecting Children',
     'If using bindChildren, you can mark values in the array as selected and bind elements or attrs to the selected state.',
     span('The currently selected key can be accessed using',
@@ -409,7 +660,54 @@ data.bindChildren(
         },
         value()
       )
-    ))
+    )),
+    span('Pass ', code("selection: 'multiple'"), ' when creating the state to select many keys at once. ',
+      code('toggle(key)'), ' adds or removes a key, ', code('selectRange(key)'), ' selects the keys from the last selected or toggled key to the given key, and ',
+      code('selectAll()'), ' and ', code('clearSelection()'), ' do what they say. Use ', code('isSelected(key)'), ' in the bound functions, only the bindings of keys that were selected or deselected are updated.'),
+    span(code('state.selectedKeys'), ' is a read only state that contains the array of selected keys, and can be bound like any other state.'),
+    prismCode(`const rows = fnstate( [ 1, 2, 3, 4 ], { mapKey: v => v, selection: 'multiple' } )
+div(
+    rows.selectedKeys.bindAs( keys => div( \`\${keys.length} selected\` ) ),
+    rows.bindChildren(
+        div(),
+        row => span(
+            {
+                style: row.bindSelectAttr( () => ( { color: rows.isSelected( row() ) ? 'limegreen' : 'darkgrey' } ) ),
+                onclick: e =>
+                    e.shiftKey ? rows.selectRange( row() )
+                    : e.ctrlKey || e.metaKey ? rows.toggle( row() )
+                    : rows.select( row() )
+            },
+            row()
+        )
+    )
+)`)
+  ),
+  contentSection('Keyboard Navigation',
+    span('Call ', code('state.bindNavigation'), ' with the parent returned by bindChildren to select the children with the keyboard. ',
+      'The arrow keys move the selection, Home and End jump to the first and last children, and typing selects the next child whose text starts with the typed characters.'),
+    'The focused child gets a tabindex of 0 and the rest get -1, so the list is a single tab stop. Pass focus: \'activedescendant\' to keep the focus on the parent and set its aria-activedescendant instead. The aria-selected attribute of each child always matches the selection, including selections made by calling select.',
+    'In multiple selection mode, shift selects a range, ctrl moves the focus without selecting, and space toggles the focused child.',
+    prismCode(`const fruit = fnstate( [ 'Apple', 'Banana', 'Blueberry', 'Cherry' ], f => f )
+fruit.bindNavigation(
+    fruit.bindChildren(
+        div( { role: 'listbox', 'aria-label': 'Fruit' } ),
+        f => div( { role: 'option', onclick: () => fruit.select( f() ) }, f() )
+    ),
+    { orientation: 'vertical', wrap: true }
+)`,
+    fruit.bindNavigation(
+      fruit.bindChildren(
+        div({ role: 'listbox', 'aria-label': 'Fruit' }),
+        f => div({
+          role: 'option',
+          style: f.bindSelectAttr(() => ({ background: fruit.selected() === f() ? 'limegreen' : '', cursor: 'pointer' })),
+          onclick: () => fruit.select(f())
+        }, f())
+      ),
+      { orientation: 'vertical', wrap: true }
+    )
+    )
   ),
   contentSection(
     'Custom Handling',
@@ -512,5 +810,14 @@ return div(
       )
     }
     )(),
-    '100%'))
+    '100%')),
+  contentSection('Releasing Bindings',
+    'Bindings only hold a weak reference to the element they are bound to. ' +
+    'Once a bound element is removed from the document and is no longer referenced, it will eventually be garbage collected and the subscriptions of its bindings are released. ' +
+    'Elements that are still referenced, like the children of a route, keep their bindings and stay up to date while detached.',
+    span('To check how many live observers a state has, call ',
+      code('state.observerCount'),
+      '.'),
+    prismCode('const activeUsers = fnstate( [] )\nconsole.log( activeUsers.observerCount() )')
+  )
 )
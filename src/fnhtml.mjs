@@ -0,0 +1,233 @@
+import { booleanAttributes, h } from './fntags.mjs'
+
+/**
+ * Create elements from html markup using a tagged template. The markup is parsed once per call site, and each call creates the same elements h would.
+ *
+ * Interpolated values can be used as attribute values, event handlers, styles, bound attributes and styles, tag names, and children.
+ * Children can be anything h accepts, including nodes, arrays, promises, and bound states. For example
+ *
+ *  html`
+ *    <div class=${active.bindAttr(() => active() ? 'user active' : 'user')} onclick=${() => active(!active())}>
+ *      <b style=${{ color: color.bindStyle() }}>${user.bindProp('name')}</b>
+ *      <ul>${items.map(item => html`<li>${item}</li>`)}</ul>
+ *      <${fancyButton} ...${buttonAttrs}>Save<//>
+ *    </div>
+ *  `
+ *
+ * An attribute value that mixes text and interpolated values is converted to a string when the element is created, so a bound attribute
+ * must be the entire value of the attribute to be updated. A function used as the tag is called with the attributes and the children, like the element functions.
+ * Elements inside of an svg element are created in the svg namespace.
+ *
+ * @param strings {TemplateStringsArray} The strings of the template
+ * @param values The interpolated values
+ * @returns {*} The root of the markup, or an array of the roots if it has more than one. Elements are returned as nodes, text as strings,
+ * and interpolated values as they were passed, i.e. html`<b>x</b> <i>y</i>` returns [Node, ' ', Node]. Pass the result as a child of h to render it.
+ */
+export const html = (strings, ...values) => {
+  let template = templateCache.get(strings)
+  if (template === undefined) {
+    template = parse(strings)
+    templateCache.set(strings, template)
+  }
+  const nodes = template.map(node => build(node, values))
+  return nodes.length === 1 ? nodes[0] : nodes
+}
+
+const templateCache = new WeakMap()
+
+// marks the position of an interpolated value in the joined strings of a template
+const HOLE = '\uE000'
+
+const voidElements = new Set(['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr'])
+
+const namespaces = {
+  svg: 'http://www.w3.org/2000/svg',
+  xlink: 'http://www.w3.org/1999/xlink',
+  xml: 'http://www.w3.org/XML/1998/namespace'
+}
+
+const entities = { amp: '&', lt: '<', gt: '>', quot: '"', apos: '\'', nbsp: ' ' }
+
+const decodeEntities = text => text.replace(/&(#x[0-9a-f]+|#[0-9]+|[a-z]+);/gi, (entity, code) => {
+  if (code[0] === '#') {
+    return String.fromCodePoint(code[1] === 'x' || code[1] === 'X' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10))
+  }
+  return entities[code] !== undefined ? entities[code] : entity
+})
+
+/**
+ * Parse the strings of a template into a tree of elements, text, and the indexes of the interpolated values
+ */
+function parse (strings) {
+  const src = strings.join(HOLE)
+  let pos = 0
+  let holeIndex = 0
+
+  const fail = message => {
+    throw new Error(`${message} at position ${pos} of html template: ${strings.join('{value}')}`)
+  }
+  const skipWhitespace = () => {
+    while (pos < src.length && /\s/.test(src[pos])) pos++
+  }
+  const readWhile = pattern => {
+    const start = pos
+    while (pos < src.length && pattern.test(src[pos])) pos++
+    return src.slice(start, pos)
+  }
+  // split text into strings and the indexes of the values between them
+  const readParts = text => {
+    const parts = []
+    const pieces = text.split(HOLE)
+    pieces.forEach((piece, i) => {
+      if (piece !== '') parts.push(decodeEntities(piece))
+      if (i < pieces.length - 1) parts.push({ index: holeIndex++ })
+    })
+    return parts
+  }
+
+  const parseAttributes = (node) => {
+    for (;;) {
+      skipWhitespace()
+      if (pos >= src.length) fail('Unclosed tag')
+      if (src.startsWith('/>', pos)) {
+        pos += 2
+        return true
+      }
+      if (src[pos] === '>') {
+        pos++
+        return false
+      }
+      if (src.startsWith('...' + HOLE, pos)) {
+        pos += 4
+        node.attrs.push({ spread: holeIndex++ })
+        continue
+      }
+      const name = readWhile(/[^\s=/>\uE000]/)
+      if (name === '') fail(`Unexpected character ${src[pos]}`)
+      skipWhitespace()
+      if (src[pos] !== '=') {
+        node.attrs.push({ name, value: null })
+        continue
+      }
+      pos++
+      skipWhitespace()
+      let raw
+      if (src[pos] === '"' || src[pos] === '\'') {
+        const quote = src[pos++]
+        const end = src.indexOf(quote, pos)
+        if (end < 0) fail('Unclosed attribute value')
+        raw = src.slice(pos, end)
+        pos = end + 1
+      } else {
+        raw = readWhile(/[^\s>]/)
+        if (raw.endsWith('/') && src[pos] === '>') {
+          raw = raw.slice(0, -1)
+          pos--
+        }
+      }
+      node.attrs.push({ name, value: readParts(raw) })
+    }
+  }
+
+  const parseElement = (ns) => {
+    pos++
+    const node = { type: 'element', attrs: [], children: [] }
+    if (src[pos] === HOLE) {
+      pos++
+      node.tagIndex = holeIndex++
+    } else {
+      node.tag = readWhile(/[^\s/>\uE000]/)
+      if (node.tag === '') fail('Missing tag name')
+      if (node.tag === 'svg') ns = namespaces.svg
+    }
+    node.ns = ns
+    const selfClosing = parseAttributes(node)
+    if (selfClosing || (!ns && voidElements.has(node.tag))) {
+      return node
+    }
+    node.children = parseChildren(node.tag === 'foreignObject' ? null : ns, node)
+    return node
+  }
+
+  const parseClosingTag = (parent) => {
+    pos += 2
+    const name = readWhile(/[^>]/).trim()
+    pos++
+    if (parent === null) fail(`Unexpected closing tag </${name}>`)
+    // components can be closed with <//> or </${component}>
+    if (name.includes(HOLE)) {
+      holeIndex++
+    } else if (name !== '/' && name !== '' && name !== parent.tag) {
+      fail(`Expected the closing tag of <${parent.tag || 'component'}> but found </${name}>`)
+    }
+  }
+
+  const parseChildren = (ns, parent) => {
+    const children = []
+    while (pos < src.length) {
+      if (src.startsWith('<!--', pos)) {
+        const end = src.indexOf('-->', pos)
+        if (end < 0) fail('Unclosed comment')
+        holeIndex += src.slice(pos, end).split(HOLE).length - 1
+        pos = end + 3
+      } else if (src.startsWith('</', pos)) {
+        parseClosingTag(parent)
+        return children
+      } else if (src[pos] === '<') {
+        children.push(parseElement(ns))
+      } else {
+        let text = readWhile(/[^<]/)
+        // whitespace that includes a new line is only used to format the markup
+        text = text.replace(/^\s*\n\s*/, '').replace(/\s*\n\s*$/, '')
+        for (const part of readParts(text)) {
+          children.push(typeof part === 'string' ? { type: 'text', text: part } : { type: 'value', index: part.index })
+        }
+      }
+    }
+    if (parent !== null) fail(`Missing the closing tag of <${parent.tag || 'component'}>`)
+    return children
+  }
+
+  return parseChildren(null, null)
+}
+
+function attributeValue (attr, values) {
+  if (attr.value === null) {
+    return booleanAttributes[attr.name] ? true : ''
+  }
+  if (attr.value.length === 1 && typeof attr.value[0] !== 'string') {
+    return values[attr.value[0].index]
+  }
+  return attr.value.map(part => {
+    if (typeof part === 'string') return part
+    const value = typeof values[part.index] === 'function' ? values[part.index]() : values[part.index]
+    return value === null || value === undefined ? '' : String(value)
+  }).join('')
+}
+
+function attributeName (name) {
+  const i = name.indexOf(':')
+  return i > 0 && namespaces[name.slice(0, i)] ? `${namespaces[name.slice(0, i)]}:${name.slice(i + 1)}` : name
+}
+
+function build (node, values) {
+  if (node.type === 'text') {
+    return node.text
+  } else if (node.type === 'value') {
+    return values[node.index]
+  }
+  const attrs = {}
+  for (const attr of node.attrs) {
+    if (attr.spread !== undefined) {
+      Object.assign(attrs, values[attr.spread])
+    } else {
+      attrs[attributeName(attr.name)] = attributeValue(attr, values)
+    }
+  }
+  const children = node.children.map(child => build(child, values))
+  const tag = node.tagIndex !== undefined ? values[node.tagIndex] : node.tag
+  if (typeof tag === 'function') {
+    return tag(attrs, ...children)
+  }
+  return h(node.ns ? `${node.ns}:${tag}` : tag, attrs, ...children)
+}
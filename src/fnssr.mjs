@@ -0,0 +1,736 @@
+import { booleanAttributes, renderNode } from './fntags.mjs'
+
+/**
+ * Server side rendering for fntags.
+ *
+ * When this module is loaded in an environment without a dom, i.e. plain node, it installs a minimal server document as the global
+ * document and window so that h, the fnelements, and the fnroute elements can be used to build pages on the server.
+ *
+ * Import this module before any module that uses the dom when it's loaded (like fnroute), and set window.location.pathname before loading
+ * your routes to render a specific path.
+ *
+ * The server document only supports what fntags needs to create elements, it is not a full dom implementation.
+ */
+
+const HTML_NS = 'http://www.w3.org/1999/xhtml'
+
+const nsPrefixes = {
+  'http://www.w3.org/1999/xlink': 'xlink',
+  'http://www.w3.org/XML/1998/namespace': 'xml',
+  'http://www.w3.org/2000/xmlns/': 'xmlns'
+}
+
+const voidElements = {
+  area: true,
+  base: true,
+  br: true,
+  col: true,
+  embed: true,
+  hr: true,
+  img: true,
+  input: true,
+  link: true,
+  meta: true,
+  param: true,
+  source: true,
+  track: true,
+  wbr: true
+}
+
+const rawTextElements = {
+  script: true,
+  style: true
+}
+
+const escapeText = text => text
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+
+const escapeAttr = value => value
+  .replace(/&/g, '&amp;')
+  .replace(/"/g, '&quot;')
+
+const toKebabCase = prop => prop.startsWith('--') ? prop : prop.replace(/[A-Z]/g, c => '-' + c.toLowerCase())
+
+class ServerNode {
+  constructor (nodeType, ownerDocument) {
+    this.nodeType = nodeType
+    this.ownerDocument = ownerDocument
+    this.parentNode = null
+    this.childNodes = []
+  }
+
+  get firstChild () {
+    return this.childNodes[0] || null
+  }
+
+  get lastChild () {
+    return this.childNodes[this.childNodes.length - 1] || null
+  }
+
+  get previousSibling () {
+    if (!this.parentNode) return null
+    const siblings = this.parentNode.childNodes
+    return siblings[siblings.indexOf(this) - 1] || null
+  }
+
+  get nextSibling () {
+    if (!this.parentNode) return null
+    const siblings = this.parentNode.childNodes
+    const i = siblings.indexOf(this)
+    return i > -1 ? siblings[i + 1] || null : null
+  }
+
+  get parentElement () {
+    return this.parentNode && this.parentNode.nodeType === 1 ? this.parentNode : null
+  }
+
+  get isConnected () {
+    let node = this
+    while (node.parentNode) node = node.parentNode
+    return node === this.ownerDocument
+  }
+
+  get textContent () {
+    return this.childNodes.map(c => c.textContent).join('')
+  }
+
+  set textContent (text) {
+    for (const child of this.childNodes) child.parentNode = null
+    this.childNodes = []
+    if (text !== '' && text !== null && text !== undefined) {
+      this.append(text + '')
+    }
+  }
+
+  contains (node) {
+    while (node) {
+      if (node === this) return true
+      node = node.parentNode
+    }
+    return false
+  }
+
+  hasChildNodes () {
+    return this.childNodes.length > 0
+  }
+
+  append (...nodes) {
+    for (const node of this._toNodes(nodes)) this._insert(node, null)
+  }
+
+  prepend (...nodes) {
+    const first = this.firstChild
+    for (const node of this._toNodes(nodes)) this._insert(node, first)
+  }
+
+  replaceChildren (...nodes) {
+    for (const child of this.childNodes) child.parentNode = null
+    this.childNodes = []
+    this.append(...nodes)
+  }
+
+  appendChild (node) {
+    this.append(node)
+    return node
+  }
+
+  insertBefore (node, ref) {
+    for (const n of this._toNodes([node])) this._insert(n, ref || null)
+    return node
+  }
+
+  removeChild (node) {
+    const i = this.childNodes.indexOf(node)
+    if (i < 0) {
+      throw new Error('The node to be removed is not a child of this node.')
+    }
+    this.childNodes.splice(i, 1)
+    node.parentNode = null
+    return node
+  }
+
+  replaceChild (node, old) {
+    this.insertBefore(node, old)
+    return this.removeChild(old)
+  }
+
+  remove () {
+    if (this.parentNode) this.parentNode.removeChild(this)
+  }
+
+  before (...nodes) {
+    const parent = this.parentNode
+    if (!parent) return
+    for (const node of this._toNodes(nodes)) parent._insert(node, this)
+  }
+
+  after (...nodes) {
+    const parent = this.parentNode
+    if (!parent) return
+    const next = this.nextSibling
+    for (const node of this._toNodes(nodes)) parent._insert(node, next)
+  }
+
+  replaceWith (...nodes) {
+    const parent = this.parentNode
+    if (!parent) return
+    const next = this.nextSibling
+    parent.removeChild(this)
+    for (const node of this._toNodes(nodes)) parent._insert(node, next)
+  }
+
+  insertAdjacentElement (position, node) {
+    switch (position.toLowerCase()) {
+      case 'beforebegin':
+        this.before(node)
+        break
+      case 'afterbegin':
+        this.prepend(node)
+        break
+      case 'beforeend':
+        this.append(node)
+        break
+      case 'afterend':
+        this.after(node)
+        break
+      default:
+        throw new Error(`Invalid position ${position}`)
+    }
+    return node
+  }
+
+  cloneNode (deep) {
+    const clone = this._cloneSelf()
+    if (deep) {
+      for (const child of this.childNodes) clone.appendChild(child.cloneNode(true))
+    }
+    return clone
+  }
+
+  addEventListener () {}
+
+  removeEventListener () {}
+
+  dispatchEvent () {
+    return true
+  }
+
+  _toNodes (nodes) {
+    const result = []
+    for (const node of nodes) {
+      if (node instanceof ServerNode) {
+        if (node.nodeType === 11) {
+          result.push(...node.childNodes)
+          for (const child of node.childNodes) child.parentNode = null
+          node.childNodes = []
+        } else {
+          result.push(node)
+        }
+      } else {
+        result.push(this.ownerDocument.createTextNode(node + ''))
+      }
+    }
+    return result
+  }
+
+  _insert (node, ref) {
+    if (node === ref) return
+    if (node.parentNode) node.parentNode.removeChild(node)
+    const i = ref ? this.childNodes.indexOf(ref) : -1
+    if (i > -1) {
+      this.childNodes.splice(i, 0, node)
+    } else {
+      this.childNodes.push(node)
+    }
+    node.parentNode = this
+  }
+}
+
+class ServerText extends ServerNode {
+  constructor (data, ownerDocument) {
+    super(3, ownerDocument)
+    this.data = data
+  }
+
+  get nodeName () {
+    return '#text'
+  }
+
+  get textContent () {
+    return this.data
+  }
+
+  set textContent (text) {
+    this.data = text + ''
+  }
+
+  get nodeValue () {
+    return this.data
+  }
+
+  set nodeValue (text) {
+    this.data = text + ''
+  }
+
+  get wholeText () {
+    return this.data
+  }
+
+  _cloneSelf () {
+    return new ServerText(this.data, this.ownerDocument)
+  }
+}
+
+class ServerComment extends ServerNode {
+  constructor (data, ownerDocument) {
+    super(8, ownerDocument)
+    this.data = data
+  }
+
+  get nodeName () {
+    return '#comment'
+  }
+
+  get textContent () {
+    return this.data
+  }
+
+  set textContent (text) {
+    this.data = text + ''
+  }
+
+  get nodeValue () {
+    return this.data
+  }
+
+  _cloneSelf () {
+    return new ServerComment(this.data, this.ownerDocument)
+  }
+}
+
+class ServerDocumentFragment extends ServerNode {
+  constructor (ownerDocument) {
+    super(11, ownerDocument)
+  }
+
+  get nodeName () {
+    return '#document-fragment'
+  }
+
+  _cloneSelf () {
+    return new ServerDocumentFragment(this.ownerDocument)
+  }
+}
+
+/**
+ * Create a style declaration that supports setting properties by camel case or kebab case name as well as cssText
+ */
+const createStyle = () => {
+  const props = new Map()
+  const declaration = {
+    get cssText () {
+      return [...props].map(([prop, value]) => `${prop}: ${value};`).join(' ')
+    },
+    set cssText (text) {
+      props.clear()
+      for (const rule of (text + '').split(';')) {
+        const i = rule.indexOf(':')
+        if (i > -1) {
+          const prop = rule.slice(0, i).trim()
+          const value = rule.slice(i + 1).trim()
+          if (prop && value) props.set(toKebabCase(prop), value)
+        }
+      }
+    },
+    setProperty (prop, value) {
+      if (value === null || value === undefined || value === '') {
+        props.delete(toKebabCase(prop))
+      } else {
+        props.set(toKebabCase(prop), value + '')
+      }
+    },
+    getPropertyValue (prop) {
+      return props.get(toKebabCase(prop)) || ''
+    },
+    removeProperty (prop) {
+      const value = declaration.getPropertyValue(prop)
+      props.delete(toKebabCase(prop))
+      return value
+    }
+  }
+  return new Proxy(declaration, {
+    get (target, prop) {
+      if (prop in target || typeof prop !== 'string') return target[prop]
+      return target.getPropertyValue(prop)
+    },
+    set (target, prop, value) {
+      if (prop === 'cssText') {
+        target.cssText = value
+      } else {
+        target.setProperty(prop, value)
+      }
+      return true
+    }
+  })
+}
+
+class ServerElement extends ServerNode {
+  constructor (tagName, namespaceURI, ownerDocument) {
+    super(1, ownerDocument)
+    this.namespaceURI = namespaceURI
+    this.localName = namespaceURI === HTML_NS ? tagName.toLowerCase() : tagName
+    this.attributes = []
+    this.style = createStyle()
+    this.listeners = {}
+  }
+
+  get tagName () {
+    return this.namespaceURI === HTML_NS ? this.localName.toUpperCase() : this.localName
+  }
+
+  get nodeName () {
+    return this.tagName
+  }
+
+  get children () {
+    return this.childNodes.filter(c => c.nodeType === 1)
+  }
+
+  get id () {
+    return this.getAttribute('id') || ''
+  }
+
+  set id (id) {
+    this.setAttribute('id', id)
+  }
+
+  get className () {
+    return this.getAttribute('class') || ''
+  }
+
+  set className (className) {
+    this.setAttribute('class', className)
+  }
+
+  get classList () {
+    const classes = () => this.className.split(/\s+/).filter(c => c)
+    return {
+      add: (...names) => {
+        this.className = [...new Set([...classes(), ...names])].join(' ')
+      },
+      remove: (...names) => {
+        this.className = classes().filter(c => !names.includes(c)).join(' ')
+      },
+      contains: name => classes().includes(name),
+      toggle: (name, force) => {
+        const has = classes().includes(name)
+        const add = force === undefined ? !has : !!force
+        if (add && !has) this.classList.add(name)
+        if (!add && has) this.classList.remove(name)
+        return add
+      }
+    }
+  }
+
+  get innerHTML () {
+    return this.childNodes.map(c => serialize(c, this)).join('')
+  }
+
+  get outerHTML () {
+    return serialize(this, this.parentNode)
+  }
+
+  getAttribute (name) {
+    if (name === 'style') return this.style.cssText || null
+    const attr = this._findAttr(a => a.name === name)
+    return attr ? attr.value : null
+  }
+
+  getAttributeNS (ns, name) {
+    const attr = this._findAttr(a => (a.ns || null) === (ns || null) && a.name === name)
+    return attr ? attr.value : null
+  }
+
+  hasAttribute (name) {
+    return this.getAttribute(name) !== null
+  }
+
+  setAttribute (name, value) {
+    this.setAttributeNS(null, name, value)
+  }
+
+  setAttributeNS (ns, name, value) {
+    ns = ns || null
+    if (ns === null && name === 'style') {
+      this.style.cssText = value
+      return
+    }
+    const attr = this._findAttr(a => a.ns === ns && a.name === name)
+    if (attr) {
+      attr.value = value + ''
+    } else {
+      this.attributes.push({ ns, name, value: value + '' })
+    }
+  }
+
+  removeAttribute (name) {
+    if (name === 'style') {
+      this.style.cssText = ''
+      return
+    }
+    this.attributes = this.attributes.filter(a => a.name !== name)
+  }
+
+  toggleAttribute (name, force) {
+    const add = force === undefined ? !this.hasAttribute(name) : !!force
+    if (add) {
+      if (!this.hasAttribute(name)) this.setAttribute(name, '')
+    } else {
+      this.removeAttribute(name)
+    }
+    return add
+  }
+
+  addEventListener (type, listener) {
+    if (!this.listeners[type]) this.listeners[type] = []
+    this.listeners[type].push(listener)
+  }
+
+  removeEventListener (type, listener) {
+    if (this.listeners[type]) {
+      this.listeners[type] = this.listeners[type].filter(l => l !== listener)
+    }
+  }
+
+  getElementsByClassName (className) {
+    return this._findAll(el => el.classList.contains(className))
+  }
+
+  getElementsByTagName (tagName) {
+    return this._findAll(el => tagName === '*' || el.localName === tagName.toLowerCase())
+  }
+
+  getElementById (id) {
+    return this._findAll(el => el.id === id)[0] || null
+  }
+
+  focus () {}
+
+  blur () {}
+
+  click () {}
+
+  scrollIntoView () {}
+
+  _findAttr (matches) {
+    return this.attributes.find(matches)
+  }
+
+  _findAll (matches) {
+    const found = []
+    const walk = node => {
+      for (const child of node.childNodes) {
+        if (child.nodeType === 1) {
+          if (matches(child)) found.push(child)
+          walk(child)
+        }
+      }
+    }
+    walk(this)
+    return found
+  }
+
+  _cloneSelf () {
+    const clone = new ServerElement(this.localName, this.namespaceURI, this.ownerDocument)
+    clone.attributes = this.attributes.map(a => ({ ...a }))
+    clone.style.cssText = this.style.cssText
+    if (this.value !== undefined) clone.value = this.value
+    return clone
+  }
+}
+
+// boolean attributes are reflected as attributes so they are included in the rendered html
+for (const attr in booleanAttributes) {
+  Object.defineProperty(ServerElement.prototype, attr, {
+    get () {
+      return this.hasAttribute(attr)
+    },
+    set (value) {
+      this.toggleAttribute(attr, !!value)
+    }
+  })
+}
+
+class ServerDocument extends ServerNode {
+  constructor () {
+    super(9, null)
+    this.ownerDocument = this
+    this.documentElement = this.createElement('html')
+    this.head = this.createElement('head')
+    this.body = this.createElement('body')
+    this.documentElement.append(this.head, this.body)
+    this.append(this.documentElement)
+  }
+
+  get nodeName () {
+    return '#document'
+  }
+
+  createElement (tagName) {
+    return new ServerElement(tagName, HTML_NS, this)
+  }
+
+  createElementNS (ns, tagName) {
+    return new ServerElement(tagName, ns || HTML_NS, this)
+  }
+
+  createTextNode (data) {
+    return new ServerText(data + '', this)
+  }
+
+  createComment (data) {
+    return new ServerComment(data + '', this)
+  }
+
+  createDocumentFragment () {
+    return new ServerDocumentFragment(this)
+  }
+
+  getElementById (id) {
+    return this.documentElement.getElementById(id)
+  }
+
+  getElementsByClassName (className) {
+    return this.documentElement.getElementsByClassName(className)
+  }
+
+  getElementsByTagName (tagName) {
+    return this.documentElement.getElementsByTagName(tagName)
+  }
+}
+
+/**
+ * Create a new server document. This is used as the global document when there isn't a dom available.
+ * @returns {ServerDocument}
+ */
+export const createServerDocument = () => new ServerDocument()
+
+const serializeAttributes = element => {
+  let html = ''
+  const parentNs = element.parentNode && element.parentNode.namespaceURI
+  if (element.namespaceURI !== HTML_NS && element.namespaceURI !== parentNs && !element.hasAttribute('xmlns')) {
+    html += ` xmlns="${escapeAttr(element.namespaceURI)}"`
+  }
+  for (const attr of element.attributes) {
+    // the value of a textarea is rendered as its content
+    if (element.localName === 'textarea' && attr.name === 'value' && !attr.ns) continue
+    const prefix = attr.ns && nsPrefixes[attr.ns]
+    const name = prefix ? `${prefix}:${attr.name}` : attr.name
+    html += booleanAttributes[name] && attr.value === '' ? ` ${name}` : ` ${name}="${escapeAttr(attr.value)}"`
+  }
+  const style = element.style.cssText
+  if (style) {
+    html += ` style="${escapeAttr(style)}"`
+  }
+  if (element.localName === 'input' && element.value !== undefined && !element.hasAttribute('value')) {
+    html += ` value="${escapeAttr(element.value + '')}"`
+  }
+  return html
+}
+
+const serialize = (node, parent) => {
+  switch (node.nodeType) {
+    case 1: {
+      const tag = node.localName
+      const open = `<${node.namespaceURI === HTML_NS ? tag : node.tagName}${serializeAttributes(node)}>`
+      if (node.namespaceURI === HTML_NS && voidElements[tag]) {
+        return open
+      }
+      let content = node.innerHTML
+      if (tag === 'textarea' && !node.hasChildNodes() && node.value !== undefined) {
+        content = escapeText(node.value + '')
+      }
+      return `${open}${content}</${node.namespaceURI === HTML_NS ? tag : node.tagName}>`
+    }
+    case 3:
+      return parent && rawTextElements[parent.localName] ? node.data : escapeText(node.data)
+    case 8:
+      return `<!--${node.data}-->`
+    default:
+      return node.childNodes.map(c => serialize(c, node)).join('')
+  }
+}
+
+/**
+ * Convert a node to an html string. Works with both real dom nodes and server nodes.
+ * @param node {Node} The node to convert
+ * @returns {string}
+ */
+export const toHtml = (node) => {
+  if (node instanceof ServerNode) {
+    return serialize(node, node.parentNode)
+  } else if (node.outerHTML !== undefined) {
+    return node.outerHTML
+  } else if (node.nodeType === 3) {
+    return escapeText(node.textContent)
+  } else if (node.nodeType === 8) {
+    return `<!--${node.textContent}-->`
+  } else {
+    return Array.from(node.childNodes).map(toHtml).join('')
+  }
+}
+
+/**
+ * Wait for all of the promises passed as children to resolve, including any promises that are rendered once they resolve
+ */
+const awaitPromises = async (root) => {
+  const awaited = new Set()
+  const container = document.createElement('div')
+  container.append(root)
+  for (;;) {
+    const pending = Array.from(container.getElementsByClassName('fntags-promise-marker'))
+      .map(marker => marker.__fnpromise)
+      .filter(p => p && !awaited.has(p))
+    if (pending.length === 0) {
+      break
+    }
+    for (const p of pending) awaited.add(p)
+    await Promise.all(pending)
+  }
+  return container
+}
+
+/**
+ * Render the given element to an html string.
+ *
+ * Bound attributes and styles are rendered with the current value of the state. Promise children are awaited,
+ * and rendered in place once they resolve. Event listeners are not included in the html.
+ *
+ * @param root {Node|Promise|function(): (Node|Promise)} The element to render, or a function that returns the element
+ * @returns {Promise<string>} The html string
+ */
+export const renderToString = async (root) => {
+  const container = await awaitPromises(renderNode(root))
+  return Array.from(container.childNodes).map(toHtml).join('')
+}
+
+if (typeof document === 'undefined') {
+  globalThis.document = createServerDocument()
+}
+
+if (typeof window === 'undefined') {
+  const location = new URL('http://localhost/')
+  globalThis.window = {
+    document: globalThis.document,
+    location,
+    addEventListener () {},
+    removeEventListener () {},
+    scrollTo () {}
+  }
+  globalThis.history = {
+    pushState () {},
+    replaceState () {}
+  }
+}
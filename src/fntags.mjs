@@ -7,6 +7,10 @@
  * Any attribute starting with 'on' that is a function is added as an event listener with the 'on' removed.
  * i.e. { onclick: fn } gets added to the element as element.addEventListener('click', fn)
  *
+ * The onmount and onunmount attributes are lifecycle hooks instead of event listeners. They are called with the element
+ * shortly after it's added to or removed from the document.
+ * i.e. { onmount: el => el.focus() }
+ *
  * The style attribute can be an object and the properties of the object will be added as style properties to the element.
  * i.e. { style: { color: blue } } becomes element.style.color = blue
  *
@@ -32,6 +36,7 @@ export function h (tag, ...children) {
     const attrs = children[firstChildIdx]
     firstChildIdx += 1
     let hasValue = false
+    let boundValueAttr = null
     for (const a in attrs) {
       // set value last to ensure value constraints are set before trying to set the value to avoid modification
       // For example, when using a range and specifying a min and max
@@ -41,11 +46,19 @@ export function h (tag, ...children) {
         hasValue = true
         continue
       }
+      // a bound value needs the value of checkboxes and radios, so it's set after that
+      if (typeof attrs[a] === 'function' && attrs[a].isBoundValue) {
+        boundValueAttr = a
+        continue
+      }
       setAttribute(a, attrs[a], element)
     }
     if (hasValue) {
       setAttribute('value', attrs.value, element)
     }
+    if (boundValueAttr !== null) {
+      setAttribute(boundValueAttr, attrs[boundValueAttr], element)
+    }
   }
   for (let i = firstChildIdx; i < children.length; i++) {
     const child = children[i]
@@ -142,29 +155,82 @@ export const fntemplate = templateFn => {
 /**
  * Create a state object that can be bound to.
  * @param initialValue The initial state
- * @param mapKey A map function to extract a key from an element in the array. Receives the array value to extract the key from.
+ * @param [options] A map function to extract a key from an element in the array, or an object with the following options
+ * @param [options.mapKey] A map function to extract a key from an element in the array. Receives the array value to extract the key from.
+ * @param [options.equals] {'identity'|'shallow'|'deep'|function(*, *): boolean} Skip notifying observers when the new value is equal to the current value.
+ * shallow compares the entries of arrays and plain objects by identity, deep compares them recursively. The states created by bindChildren use the same equality.
+ * Values that are modified in place and set again are always considered changed. By default, observers are notified of every update.
+ * @param [options.persist] Persist the value in localStorage or sessionStorage, the stored value is restored when the state is created.
+ * @param options.persist.key {string} The storage key to store the value under
+ * @param [options.persist.storage] {'local'|'session'|Storage} The storage to use, defaults to localStorage
+ * @param [options.persist.version] {number} The version of the stored value's shape, defaults to 0
+ * @param [options.persist.migrate] {function(*, number): *} Receives a stored value and its version when the version is different, returns the upgraded value
+ * @param [options.persist.debounce] {number} The number of milliseconds to wait for more changes before writing, defaults to 100
+ * @param [options.persist.onerror] {function(Error)} Called when the stored value can't be read or written, or has a different version and there is no migrate function.
+ * The state falls back to the initial value when the stored value can't be used.
+ * @param [options.selection] {'single'|'multiple'} Whether one or many keys of a bound array can be selected at the same time, defaults to single.
+ * See select, toggle, selectRange, selectAll, clearSelection, and selectedKeys.
+ * @param [options.sync] {string|object} Keep the value in sync with states that use the same channel name in other tabs of the same origin.
+ * Uses a BroadcastChannel, or storage events in browsers that don't support BroadcastChannel. Values must be serializable to JSON.
+ * @param options.sync.channel {string} The name of the channel to sync on
+ * @param [options.sync.onerror] {function(Error)} Called when a value can't be sent or received
+ * Call stopSync on the state to stop syncing, i.e. when the state belongs to a component that is removed.
  * @returns function A function that can be used to get and set the state.
  * When getting the state, you get the actual reference to the underlying value.
  * If you perform modifications to the value, be sure to call the state function with the updated value when you're done
  * or the changes won't be reflected correctly and binding updates won't be triggered even though the state appears to be correct.
  *
  */
-export const fnstate = (initialValue, mapKey) => {
+export const fnstate = (initialValue, options) => {
+  options = typeof options === 'function' ? { mapKey: options } : options || {}
+  const ctx = createStateCtx(initialValue, options.mapKey, resolveEquals(options.equals))
+  if (options.selection !== undefined) {
+    if (options.selection !== 'single' && options.selection !== 'multiple') {
+      throw new Error(`Unknown selection mode ${options.selection}, must be single or multiple`)
+    }
+    ctx.selectionMode = options.selection
+  }
+  if (options.persist) {
+    persistState(ctx, options.persist)
+  }
+  if (options.sync) {
+    syncState(ctx, typeof options.sync === 'string' ? { channel: options.sync } : options.sync)
+  }
+  return ctx.state
+}
+
+/**
+ * The contexts of states by state function, so functions that receive a state can use its internal observers
+ */
+const stateContexts = new WeakMap()
+
+function createStateCtx (initialValue, mapKey, equals) {
   const ctx = {
     currentValue: initialValue,
     observers: [],
+    // the observers used by persist, sync, and fnhistory, these are kept when the state is reset
+    internalObservers: [],
     bindContexts: [],
     selectObservers: {},
+    selectionMode: 'single',
+    // the selected keys, in the order they were selected
+    selection: new Set(),
+    // the key that ranges are selected from
+    selectionAnchor: undefined,
+    // the paths changed by setPath and assign since observers were last notified
+    changedPaths: [],
+    // the changes made by the array functions since observers were last notified, null when the whole value was set
+    arrayPatches: undefined,
     nextId: 0,
     mapKey,
+    equals,
     state (newState) {
       if (arguments.length === 0 || (arguments.length === 1 && arguments[0] === ctx.state)) {
         return ctx.currentValue
       } else {
-        const oldState = ctx.currentValue
-        ctx.currentValue = newState
-        for (const observer of ctx.observers) {
-          observer.fn(newState, oldState)
+        assertWritable(ctx)
+        if (!isUnchanged(ctx, ctx.currentValue, newState)) {
+          doSetState(ctx, newState)
         }
       }
       return newState
@@ -182,6 +248,60 @@ export const fnstate = (initialValue, mapKey) => {
    */
   ctx.state.bindChildren = (parent, element, update) => doBindChildren(ctx, parent, element, update)
 
+  /**
+   * Bind the values of this state to the given scroll container, only rendering the elements of the values that are visible, plus an overscan buffer.
+   * Use this instead of bindChildren for arrays that are too large to render all at once.
+   *
+   * The container must scroll, i.e. have a height and overflow: auto. The elements are rendered directly into the container between two spacers
+   * that take up the height of the values that aren't rendered. Elements are matched to values using mapKey, the same as bindChildren,
+   * and select and bindSelect work the same.
+   *
+   * Pass rowHeight if every element has the same height. Otherwise, the elements are measured once they're rendered and estimatedRowHeight
+   * is used for the values that haven't been rendered yet.
+   *
+   * When values are added or removed above the visible elements, the container is scrolled so the visible elements stay in place.
+   *
+   * @param container The scroll container to bind the children to
+   * @param element {function} The element to render for a value, receives the value wrapped as an fnstate
+   * @param [options.rowHeight] {number} The height in pixels of every element
+   * @param [options.estimatedRowHeight] {number} The height in pixels to use for elements that haven't been measured. Defaults to 30
+   * @param [options.overscan] {number} The number of elements to render above and below the visible elements. Defaults to 5
+   * @returns The container
+   */
+  ctx.state.bindVirtualChildren = (container, element, options) => doBindVirtualChildren(ctx, container, element, options)
+
+  /**
+   * Scroll the containers bound with bindVirtualChildren to the element of the value with the given key, rendering it if needed
+   * @param key The key of the value to scroll to, as returned by mapKey
+   * @param [align] {'start'|'center'|'end'|'nearest'} Where to place the element in the container. Defaults to nearest
+   */
+  ctx.state.scrollToKey = (key, align) => {
+    for (const bindContext of liveBindContexts(ctx)) {
+      if (bindContext.virtual) scrollToKey(ctx, bindContext, key, align)
+    }
+  }
+
+  /**
+   * Navigate the children bound to the given parent with the keyboard, using the select functions of this state.
+   *
+   * The arrow keys select the next or previous element, Home and End select the first and last elements, and typing selects the next element
+   * whose text starts with the typed characters. In multiple selection mode, shift selects a range, ctrl moves the focus without changing the selection,
+   * and space toggles the focused element.
+   *
+   * With roving focus, the focused element has a tabindex of 0 and the rest have -1, so the list is a single tab stop. With activedescendant,
+   * the parent keeps the focus and its aria-activedescendant is set to the id of the focused element. The aria-selected attribute of each element is
+   * kept in sync with the selection, including selections made by calling select directly.
+   *
+   * @param parent The parent returned by bindChildren or bindVirtualChildren
+   * @param [options.orientation] {'vertical'|'horizontal'|'both'} Which arrow keys move the focus. Defaults to vertical
+   * @param [options.focus] {'roving'|'activedescendant'} How the focused element is exposed. Defaults to roving
+   * @param [options.wrap] {boolean} Whether to move from the last element to the first and back. Defaults to false
+   * @param [options.typeahead] {boolean} Whether typing selects the matching element. Defaults to true
+   * @param [options.label] {function(*): string} Get the text to match typed characters against from a value. Defaults to the text of the element
+   * @returns The parent
+   */
+  ctx.state.bindNavigation = (parent, options) => doBindNavigation(ctx, parent, options)
+
   /**
    * Bind this state to the given element
    *
@@ -201,19 +321,61 @@ export const fnstate = (initialValue, mapKey) => {
    */
   ctx.state.bindProp = (prop) => doBindAs(ctx, (st) => st[prop])
 
+  /**
+   * Bind the value at the given property path of this state to the given element.
+   * The element is only updated when the value at the path changes, changes to other paths of the state are ignored.
+   *
+   * Values that are objects are considered changed when they are replaced, or when the object or one of its children is set using setPath or assign.
+   *
+   * @param path {string} The property path of the value to bind to
+   * @param [element] The element to bind to, receives the value at the path. If not a function, an update function must be passed. If not passed, defaults to the value at the path
+   * @param [update] If passed this will be executed directly when the value at the path changes with no other intervention
+   * @returns {(HTMLDivElement|Text)[]|HTMLDivElement|Text}
+   */
+  ctx.state.bindPath = (path, element, update) => doBindPath(ctx, path, element ?? (value => value), update)
+
   /**
    * Bind attribute values to state changes
    * @param [attribute] A function that returns an attribute value. If not passed, defaults to the state's value
    * @returns {function(): *} A function that calls the passed function, with some extra metadata
    */
-  ctx.state.bindAttr = (attribute) => doBindAttr(ctx.state, attribute ?? ctx.state)
+  ctx.state.bindAttr = (attribute) => doBindAttr(ctx, attribute ?? ctx.state)
+
+  /**
+   * Bind attribute values to changes of the value at the given property path of this state. See bindPath.
+   * @param path {string} The property path of the value to bind to
+   * @param [attribute] A function that receives the value at the path and returns an attribute value. If not passed, defaults to the value at the path
+   * @returns {function(): *} A function that calls the passed function, with some extra metadata
+   */
+  ctx.state.bindAttrPath = (path, attribute) => doBindAttrPath(ctx, path, attribute ?? (value => value))
+
+  /**
+   * Two way bind the value of a form element to this state.
+   *
+   * Pass the result as the value attribute of an input, select, or textarea. The element is updated when the state changes
+   * and the state is updated when the user changes the element.
+   *
+   * Checkboxes are bound to a boolean, or if the state is an array, to whether the array contains the checkbox's value.
+   * Radios are checked when the state equals their value. Multiple selects are bound to an array of the selected values.
+   * Number and range inputs, and elements bound to a state that contains a number, update the state with a number.
+   *
+   * @returns {function(): *} A function that returns the current value, with some extra metadata
+   */
+  ctx.state.bindValue = () => doBindValue(ctx, () => ctx.currentValue, value => ctx.state(value))
+
+  /**
+   * Two way bind the value of a form element to the value at the given property path of this state. See bindValue.
+   * @param path {string} The property path of the value to bind to
+   * @returns {function(): *} A function that returns the current value at the path, with some extra metadata
+   */
+  ctx.state.bindValuePath = (path) => doBindValue(ctx, () => ctx.state.getPath(path), value => ctx.state.setPath(path, value))
 
   /**
    * Bind style values to state changes
    * @param [style] A function that returns a style's value. If not passed, defaults to the state's value
    * @returns {function(): *} A function that calls the passed function, with some extra metadata
    */
-  ctx.state.bindStyle = (style) => doBindStyle(ctx.state, style ?? ctx.state)
+  ctx.state.bindStyle = (style) => doBindStyle(ctx, style ?? ctx.state)
 
   /**
    * Bind select and deselect to an element
@@ -231,21 +393,94 @@ export const fnstate = (initialValue, mapKey) => {
 
   /**
    * Mark the element with the given key as selected. This causes the bound select functions to be executed.
+   * In multiple selection mode, the rest of the keys are deselected.
    */
   ctx.state.select = (key) => doSelect(ctx, key)
 
   /**
-   * Get the currently selected key
+   * Get the currently selected key. In multiple selection mode, this is the key that was selected or toggled last.
    * @returns {*}
    */
   ctx.state.selected = () => ctx.selected
 
+  /**
+   * Check whether the element with the given key is selected
+   * @returns {boolean}
+   */
+  ctx.state.isSelected = (key) => ctx.selection.has(key)
+
+  /**
+   * Select the element with the given key if it isn't selected, otherwise deselect it. In multiple selection mode, the rest of the keys stay selected.
+   */
+  ctx.state.toggle = (key) => {
+    const selection = ctx.selectionMode === 'multiple' ? new Set(ctx.selection) : new Set()
+    if (ctx.selection.has(key)) {
+      selection.delete(key)
+    } else {
+      selection.add(key)
+    }
+    ctx.selectionAnchor = key
+    updateSelection(ctx, selection, selection.has(key) ? key : ctx.selected === key ? undefined : ctx.selected)
+  }
+
+  /**
+   * Select the keys of the elements between the last selected or toggled key and the given key, including both. The rest of the keys are deselected.
+   * Requires the multiple selection mode.
+   * @param key The key to select the range to
+   * @param [fromKey] The key to select the range from, defaults to the last selected or toggled key
+   */
+  ctx.state.selectRange = (key, fromKey = ctx.selectionAnchor) => {
+    assertMultipleSelection(ctx, 'selectRange')
+    const keys = arrayKeys(ctx)
+    const to = keys.indexOf(key)
+    if (to < 0) {
+      throw new Error(`No item with the key ${key}`)
+    }
+    const from = keys.indexOf(fromKey)
+    if (from < 0) {
+      return doSelect(ctx, key)
+    }
+    updateSelection(ctx, new Set(keys.slice(Math.min(from, to), Math.max(from, to) + 1)), key)
+  }
+
+  /**
+   * Select the keys of all of the elements. Requires the multiple selection mode.
+   */
+  ctx.state.selectAll = () => {
+    assertMultipleSelection(ctx, 'selectAll')
+    updateSelection(ctx, new Set(arrayKeys(ctx)), ctx.selected)
+  }
+
+  /**
+   * Deselect all of the keys
+   */
+  ctx.state.clearSelection = () => {
+    ctx.selectionAnchor = undefined
+    updateSelection(ctx, new Set(), undefined)
+  }
+
+  /**
+   * A read only state that contains the array of selected keys, in the order they were selected
+   */
+  Object.defineProperty(ctx.state, 'selectedKeys', { get: () => selectedKeysCtx(ctx).state })
+
   ctx.state.isFnState = true
 
   /**
    * Perform an Object.assign on the current state using the provided update
    */
-  ctx.state.assign = (update) => ctx.state(Object.assign(ctx.currentValue, update))
+  ctx.state.assign = (update) => {
+    assertWritable(ctx)
+    if (update && typeof update === 'object') {
+      const current = ctx.currentValue
+      const keys = Object.keys(update)
+      if (current && typeof current === 'object' && keys.every(key => key in current && isPropertyUnchanged(ctx, current[key], update[key]))) {
+        return current
+      }
+      ctx.changedPaths.push(...keys)
+    }
+    return ctx.state(Object.assign(ctx.currentValue, update))
+  }
 
   /**
    * Get a value at the given property path, an error is thrown if the value is not an object
@@ -281,6 +516,7 @@ export const fnstate = (initialValue, mapKey) => {
    * @param fillWithObjects Whether to non object values with new empty objects.
    */
   ctx.state.setPath = (path, value, fillWithObjects = false) => {
+    assertWritable(ctx)
     const s = path.split('.')
     const parent = s
       .slice(0, -1)
@@ -295,13 +531,99 @@ export const fnstate = (initialValue, mapKey) => {
       )
 
     if (parent && typeof parent === 'object') {
-      parent[s.slice(-1)] = value
+      const prop = s[s.length - 1]
+      if (prop in parent && isPropertyUnchanged(ctx, parent[prop], value)) {
+        return
+      }
+      parent[prop] = value
+      ctx.changedPaths.push(path)
       ctx.state(ctx.currentValue)
     } else {
       throw new Error(`No object at path ${path}`)
     }
   }
 
+  /**
+   * Add items to the end of the array in this state. Bound children are only rendered for the new items.
+   * @param items The items to add
+   * @returns {Array} The new array
+   */
+  ctx.state.push = (...items) => doInsert(ctx, currentArray(ctx).length, items)
+
+  /**
+   * Insert items into the array in this state at the given index. Bound children are only rendered for the new items.
+   * @param index {number} The index to insert the items at
+   * @param items The items to insert
+   * @returns {Array} The new array
+   */
+  ctx.state.insertAt = (index, ...items) => doInsert(ctx, index, items)
+
+  /**
+   * Remove the item with the given key from the array in this state. Only the bound child of the item is removed.
+   * @param key The key of the item to remove, as returned by mapKey
+   * @returns {Array} The new array
+   */
+  ctx.state.removeByKey = (key) => {
+    const index = indexOfKey(ctx, key)
+    const next = currentArray(ctx).slice()
+    next.splice(index, 1)
+    return doSetState(ctx, next, { type: 'remove', key })
+  }
+
+  /**
+   * Move an item of the array in this state to a new index. Only the bound child of the item is moved.
+   * @param fromIndex {number} The current index of the item
+   * @param toIndex {number} The index to move the item to
+   * @returns {Array} The new array
+   */
+  ctx.state.move = (fromIndex, toIndex) => {
+    const next = currentArray(ctx).slice()
+    if (!(fromIndex in next) || !(toIndex in next)) {
+      throw new Error(`Cannot move item from index ${fromIndex} to index ${toIndex}, the array only has ${next.length} items.`)
+    }
+    const [item] = next.splice(fromIndex, 1)
+    next.splice(toIndex, 0, item)
+    return doSetState(ctx, next, { type: 'move', item, before: toIndex + 1 < next.length ? next[toIndex + 1] : null })
+  }
+
+  /**
+   * Update the item with the given key in the array in this state. If the items are bound with bindChildren, the state of the item is updated,
+   * otherwise the item is replaced. The key of the item can't be changed.
+   * @param key The key of the item to update, as returned by mapKey
+   * @param update The new value of the item, or a function that receives the current value and returns the new value
+   * @returns {Array} The new array
+   */
+  ctx.state.updateByKey = (key, update) => {
+    const index = indexOfKey(ctx, key)
+    const next = currentArray(ctx).slice()
+    const item = next[index]
+    const value = typeof update === 'function' ? update(unwrapState(item)) : update
+    if (keyMapper(ctx.mapKey, value) !== key) {
+      throw new Error('The key of an item cannot be changed by updateByKey.')
+    }
+    if (item && item.isFnState) {
+      item(value)
+      return doSetState(ctx, next, { type: 'update' })
+    }
+    next[index] = value
+    return doSetState(ctx, next)
+  }
+
+  /**
+   * Sort the array in this state. The bound children are moved into the new order without being rendered again.
+   * @param [compare] {function(*, *): number} Compares two items, receives the values of the items
+   * @returns {Array} The new array
+   */
+  ctx.state.sort = (compare) => {
+    const next = currentArray(ctx).slice()
+    next.sort((a, b) => {
+      a = unwrapState(a)
+      b = unwrapState(b)
+      return compare ? compare(a, b) : String(a) < String(b) ? -1 : String(a) > String(b) ? 1 : 0
+    })
+    return doSetState(ctx, next, { type: 'order', items: next.slice() })
+  }
+
   /**
    * Register a callback that will be executed whenever the state is changed
    * @return a function to stop the subscription
@@ -309,206 +631,1488 @@ export const fnstate = (initialValue, mapKey) => {
   ctx.state.subscribe = (callback) => doSubscribe(ctx, ctx.observers, callback)
 
   /**
-   * Remove all of the observers and optionally reset the value to it's initial value
+   * Register a callback that will be executed whenever the value at the given property path changes. See bindPath.
+   * @param path {string} The property path of the value to watch
+   * @param callback {function(*, *)} Receives the new and old value at the path
+   * @return a function to stop the subscription
+   */
+  ctx.state.subscribePath = (path, callback) => {
+    const changed = watchPath(ctx, path)
+    return doSubscribe(ctx, ctx.observers, (newState, oldState, changedPaths) => {
+      const previous = changed.value
+      if (changed(changedPaths)) callback(changed.value, previous)
+    })
+  }
+
+  /**
+   * Get the number of live observers of this state.
+   *
+   * Bindings hold their element weakly, once a bound element is removed from the document and garbage collected,
+   * its subscriptions are released and no longer counted.
+   * @returns {number}
+   */
+  ctx.state.observerCount = () => countLiveObservers(ctx)
+
+  /**
+   * Remove all of the observers and optionally reset the value to it's initial value. The state keeps being persisted and synced.
    */
   ctx.state.reset = (reInit) => doReset(ctx, reInit, initialValue)
 
-  return ctx.state
+  stateContexts.set(ctx.state, ctx)
+  return ctx
 }
 
-function doSubscribe (ctx, list, listener) {
-  const id = ctx.nextId++
-  list.push({ id, fn: listener })
-  return () => {
-    list.splice(list.findIndex(l => l.id === id), 1)
-    list = null
+function persistState (ctx, { key, storage = 'local', version = 0, migrate, debounce = 100, onerror = defaultPersistErrorHandler }) {
+  if (!key || typeof key !== 'string') {
+    throw new Error('You must provide a string key to persist a state.')
+  }
+  try {
+    storage = storage === 'local' ? window.localStorage : storage === 'session' ? window.sessionStorage : storage
+  } catch (e) {
+    // accessing storage throws when it's disabled
+    onerror(e)
+    return
+  }
+  if (!storage || typeof storage.getItem !== 'function') {
+    onerror(new Error(`No storage available to persist ${key}`))
+    return
   }
-}
 
-const subscribeSelect = (ctx, callback) => {
-  const parentCtx = ctx.state.parentCtx
-  const key = keyMapper(parentCtx.mapKey, ctx.currentValue)
-  if (parentCtx.selectObservers[key] === undefined) {
-    parentCtx.selectObservers[key] = []
+  let timeout = null
+  const write = () => {
+    clearTimeout(timeout)
+    timeout = null
+    try {
+      storage.setItem(key, JSON.stringify({ version, value: ctx.currentValue }, unwrapStates))
+    } catch (e) {
+      onerror(e)
+    }
+  }
+
+  try {
+    const stored = storage.getItem(key)
+    if (stored !== null) {
+      const parsed = JSON.parse(stored)
+      if (!parsed || typeof parsed !== 'object' || !('value' in parsed)) {
+        throw new Error(`Invalid value stored for ${key}`)
+      }
+      if (parsed.version === version) {
+        ctx.currentValue = parsed.value
+      } else if (typeof migrate === 'function') {
+        ctx.currentValue = migrate(parsed.value, parsed.version)
+        // store the migrated value so the migration only runs once
+        write()
+      } else {
+        throw new Error(`The value stored for ${key} has version ${parsed.version} instead of ${version}, and there is no migrate function. The stored value is ignored.`)
+      }
+    }
+  } catch (e) {
+    onerror(e)
   }
-  parentCtx.selectObservers[key].push(callback)
+
+  doSubscribe(ctx, ctx.internalObservers, () => {
+    clearTimeout(timeout)
+    timeout = setTimeout(write, debounce)
+  })
+  // write pending changes before the page goes away
+  window.addEventListener('pagehide', () => {
+    if (timeout !== null) write()
+  })
 }
 
-const doBindSelectAttr = function (ctx, attribute) {
-  const boundAttr = createBoundAttr(attribute)
-  boundAttr.init = (attrName, element) =>
-    subscribeSelect(ctx, () => setAttribute(attrName, attribute(), element))
-  return boundAttr
+const defaultPersistErrorHandler = e => console.error('Failed to persist state.', e)
+
+function syncState (ctx, { channel, onerror = defaultSyncErrorHandler }) {
+  if (!channel || typeof channel !== 'string') {
+    throw new Error('You must provide a string channel name to sync a state.')
+  }
+  // set while applying a value from another tab so it isn't sent back
+  let receiving = false
+  const receive = (data) => {
+    let value
+    try {
+      value = JSON.parse(data).value
+    } catch (e) {
+      onerror(e)
+      return
+    }
+    receiving = true
+    try {
+      ctx.state(value)
+    } finally {
+      receiving = false
+    }
+  }
+
+  let send
+  let close
+  if (typeof BroadcastChannel === 'function') {
+    const broadcastChannel = new BroadcastChannel(`fntags:${channel}`)
+    broadcastChannel.onmessage = e => receive(e.data)
+    // don't keep node processes alive when rendering on the server
+    if (typeof broadcastChannel.unref === 'function') broadcastChannel.unref()
+    send = data => broadcastChannel.postMessage(data)
+    close = () => broadcastChannel.close()
+  } else {
+    // storage events are only fired in the other tabs, and only when the stored value changes
+    const key = `fntags-sync:${channel}`
+    const onStorage = e => {
+      if (e.key === key && e.newValue !== null) receive(e.newValue)
+    }
+    window.addEventListener('storage', onStorage)
+    send = data => {
+      window.localStorage.setItem(key, data)
+      window.localStorage.removeItem(key)
+    }
+    close = () => window.removeEventListener('storage', onStorage)
+  }
+
+  const unsubscribe = doSubscribe(ctx, ctx.internalObservers, () => {
+    if (receiving) return
+    try {
+      send(JSON.stringify({ value: ctx.currentValue }, unwrapStates))
+    } catch (e) {
+      onerror(e)
+    }
+  })
+
+  /**
+   * Stop syncing the value with other tabs. Closes the channel, or removes the storage listener.
+   */
+  ctx.state.stopSync = () => {
+    unsubscribe()
+    close()
+  }
 }
 
-function createBoundAttr (attr) {
-  if (typeof attr !== 'function') {
-    throw new Error('You must pass a function to bindAttr')
+const defaultSyncErrorHandler = e => console.error('Failed to sync state.', e)
+
+// unwrap the states created by bindChildren
+const unwrapState = value => value && value.isFnState ? value() : value
+const unwrapStates = (k, v) => unwrapState(v)
+
+/**
+ * Compare the entries of two arrays or plain objects using the given function
+ */
+function entriesEqual (a, b, compare) {
+  if (!a || !b || typeof a !== 'object' || typeof b !== 'object' || Array.isArray(a) !== Array.isArray(b)) {
+    return false
   }
-  // wrap the function to avoid modifying it
-  const boundAttr = () => attr()
-  boundAttr.isBoundAttribute = true
-  return boundAttr
+  const proto = Object.getPrototypeOf(a)
+  if (proto !== Object.getPrototypeOf(b) || (proto !== Array.prototype && proto !== Object.prototype && proto !== null)) {
+    return false
+  }
+  const keys = Object.keys(a)
+  return keys.length === Object.keys(b).length &&
+    keys.every(key => Object.prototype.hasOwnProperty.call(b, key) && compare(unwrapState(a[key]), unwrapState(b[key])))
 }
 
-function doBindAttr (state, attribute) {
-  const boundAttr = createBoundAttr(attribute)
-  boundAttr.init = (attrName, element) => state.subscribe(() => setAttribute(attrName, attribute(), element))
-  return boundAttr
+const deepEqual = (a, b) => Object.is(a, b) || entriesEqual(a, b, deepEqual)
+
+const equalityChecks = {
+  identity: Object.is,
+  shallow: (a, b) => Object.is(a, b) || entriesEqual(a, b, Object.is),
+  deep: deepEqual
 }
 
-function doBindStyle (state, style) {
-  if (typeof style !== 'function') {
-    throw new Error('You must pass a function to bindStyle')
+function resolveEquals (equals) {
+  if (equals === undefined || typeof equals === 'function') {
+    return equals
   }
-  const boundStyle = () => style()
-  boundStyle.isBoundStyle = true
-  boundStyle.init = (styleName, element) => state.subscribe(() => { element.style[styleName] = style() })
-  return boundStyle
+  if (!Object.prototype.hasOwnProperty.call(equalityChecks, equals)) {
+    throw new Error(`Invalid equals option ${equals}, must be one of ${Object.keys(equalityChecks).join(', ')} or a function`)
+  }
+  return equalityChecks[equals]
 }
 
-function doReset (ctx, reInit, initialValue) {
-  ctx.observers = []
-  ctx.selectObservers = {}
-  if (reInit) {
-    ctx.currentValue = initialValue
+/**
+ * Check whether a new value is equal to the old value using the equality of the state.
+ * Objects that are set to themselves may have been modified in place, so they're always considered changed.
+ */
+const isUnchanged = (ctx, oldValue, newValue) =>
+  ctx.equals !== undefined &&
+  !(oldValue === newValue && oldValue !== null && (typeof oldValue === 'object' || typeof oldValue === 'function')) &&
+  !!ctx.equals(oldValue, newValue)
+
+/**
+ * Check whether a single property is unchanged. Only the built in checks can compare properties,
+ * a custom equals function compares whole values, so the property is always considered changed.
+ */
+const isPropertyUnchanged = (ctx, oldValue, newValue) =>
+  Object.values(equalityChecks).includes(ctx.equals) && isUnchanged(ctx, oldValue, newValue)
+
+function assertWritable (ctx) {
+  if (ctx.readOnly) {
+    throw new Error('This state is read only and cannot be set directly.')
   }
 }
 
-function doSelect (ctx, key) {
-  const currentSelected = ctx.selected
-  ctx.selected = key
-  if (ctx.selectObservers[currentSelected] !== undefined) {
-    for (const obs of ctx.selectObservers[currentSelected]) obs()
+function doSetState (ctx, newState, patch) {
+  const oldState = ctx.currentValue
+  ctx.currentValue = newState
+  if (ctx.selection.size > 0 && Array.isArray(newState)) {
+    pruneSelection(ctx)
+  }
+  if (patch === undefined || ctx.arrayPatches === null) {
+    ctx.arrayPatches = null
+  } else if (ctx.arrayPatches === undefined) {
+    ctx.arrayPatches = [patch]
+  } else {
+    ctx.arrayPatches.push(patch)
   }
-  if (ctx.selectObservers[ctx.selected] !== undefined) {
-    for (const obs of ctx.selectObservers[ctx.selected]) obs()
+  if (batchDepth > 0) {
+    // keep the value from before the batch started so observers see the complete change
+    if (!pendingUpdates.has(ctx)) {
+      pendingUpdates.set(ctx, oldState)
+    }
+  } else {
+    notifyObservers(ctx, newState, oldState)
   }
+  return newState
 }
 
-function doBindChildren (ctx, parent, element, update) {
-  parent = renderNode(parent)
-  if (parent === undefined || parent.nodeType === undefined) {
-    throw new Error('You must provide a parent element to bind the children to. aka Need Bukkit.')
-  }
-  if (typeof element !== 'function' && typeof update !== 'function') {
-    throw new Error('You must pass an update function when passing a non function element')
+function notifyObservers (ctx, newState, oldState) {
+  const changedPaths = ctx.changedPaths
+  const arrayPatches = ctx.arrayPatches ?? null
+  ctx.changedPaths = []
+  ctx.arrayPatches = undefined
+  for (const observer of ctx.observers) {
+    observer.fn(newState, oldState, changedPaths, arrayPatches)
   }
-  if (typeof ctx.mapKey !== 'function') {
-    console.warn('Using value index as key, may not work correctly when moving items...')
-    ctx.mapKey = (o, i) => i
+  for (const observer of ctx.internalObservers) {
+    observer.fn(newState, oldState, changedPaths, arrayPatches)
   }
+}
 
+function currentArray (ctx) {
+  assertWritable(ctx)
   if (!Array.isArray(ctx.currentValue)) {
-    throw new Error('You can only use bindChildren with a state that contains an array. try myState([mystate]) before calling this function.')
+    throw new Error('This state does not contain an array.')
   }
-  ctx.currentValue = ctx.currentValue.map(v => v.isFnState ? v : fnstate(v))
-  ctx.bindContexts.push({ element, update, parent })
-  ctx.state.subscribe((newState, oldState) => {
-    if (!Array.isArray(ctx.currentValue)) {
-      console.warn('A state used with bindChildren was updated to a non array value. This will be converted to an array of 1 and the state will be updated.')
-      new Promise((resolve) => {
-        ctx.state([ctx.currentValue])
-        resolve()
-      }).catch(e => {
-        console.error('Failed to update element: ')
-        console.dir(element)
-        const err = new Error('Failed to update element')
-        err.stack += '\nCaused by: ' + e.stack
-        throw e
-      })
-    } else {
-      reconcile(ctx, oldState)
-    }
-  })
-  reconcile(ctx)
-  return parent
+  return ctx.currentValue
 }
 
-const doBind = function (ctx, element, update, handleUpdate, handleReplace) {
-  if (typeof element !== 'function' && typeof update !== 'function') {
-    throw new Error('You must pass an update function when passing a non function element')
-  }
-  if (typeof update === 'function') {
-    const boundElement = renderNode(evaluateElement(element, ctx.currentValue))
-    handleUpdate(boundElement)
-    return boundElement
-  } else {
-    const elCtx = { current: renderNode(evaluateElement(element, ctx.currentValue)) }
-    handleReplace(elCtx)
-    return () => elCtx.current
+function indexOfKey (ctx, key) {
+  const index = currentArray(ctx).findIndex(item => keyMapper(ctx.mapKey, unwrapState(item)) === key)
+  if (index < 0) {
+    throw new Error(`No item with the key ${key}`)
   }
+  return index
 }
 
-const updateReplacer = (ctx, element, elCtx) => () => {
-  let rendered = renderNode(evaluateElement(element, ctx.currentValue))
-  if (rendered !== undefined) {
-    if (elCtx.current.key !== undefined) {
-      rendered.current.key = elCtx.current.key
+function doInsert (ctx, index, items) {
+  const current = currentArray(ctx)
+  if (!Number.isInteger(index) || index < 0 || index > current.length) {
+    throw new Error(`Cannot insert items at index ${index}, the array only has ${current.length} items.`)
+  }
+  const keys = new Set(current.map(item => keyMapper(ctx.mapKey, unwrapState(item))))
+  for (const item of items) {
+    const key = keyMapper(ctx.mapKey, unwrapState(item))
+    if (keys.has(key)) {
+      throw new Error('Duplicate keys in a bound array are not allowed.')
     }
-    if (ctx.parentCtx) {
-      for (const bindContext of ctx.parentCtx.bindContexts) {
-        bindContext.boundElementByKey[elCtx.current.key] = rendered
-      }
-    }
-    // Perform this action on the next event loop to give the parent a chance to render
-    new Promise((resolve) => {
-      elCtx.current.replaceWith(rendered)
-      elCtx.current = rendered
-      rendered = null
-      resolve()
-    }).catch(e => {
-      console.error('Failed to replace element with new element')
-      console.dir(elCtx, rendered)
-      const err = new Error('Failed to replace element with new element')
-      err.stack += '\nCaused by: ' + e.stack
-      throw e
-    })
+    keys.add(key)
   }
+  // the items of bound arrays are states, see bindChildren
+  if (ctx.bindContexts.length > 0) {
+    items = items.map(item => item && item.isFnState ? item : fnstate(item, { equals: ctx.equals }))
+  }
+  const next = current.slice()
+  next.splice(index, 0, ...items)
+  return doSetState(ctx, next, { type: 'insert', items, before: index < current.length ? current[index] : null })
 }
 
-const doBindSelect = (ctx, element, update) =>
-  doBind(ctx, element, update,
-    boundElement =>
-      subscribeSelect(ctx, () => update(boundElement)),
-    (elCtx) =>
-      subscribeSelect(
-        ctx,
-        updateReplacer(ctx, element, elCtx)
-      )
-  )
-
-const doBindAs = (ctx, element, update) =>
-  doBind(ctx, element, update,
-    boundElement => {
-      ctx.state.subscribe(() => update(boundElement))
-    },
-    (elCtx) =>
-      ctx.state.subscribe(updateReplacer(ctx, element, elCtx))
-  )
+/**
+ * Read the value at a property path, undefined is returned if any part of the path is missing
+ */
+const readPath = (value, path) => path.split('.').reduce((curr, part) => curr !== null && curr !== undefined ? curr[part] : undefined, value)
 
 /**
- * Reconcile the state of the current array value with the state of the bound elements
+ * Create a function that receives the paths changed by an update and returns whether the value at the given path changed.
+ * The last seen value is available as the value property of the function.
  */
-function reconcile (ctx, oldState) {
-  for (const bindContext of ctx.bindContexts) {
-    if (bindContext.boundElementByKey === undefined) {
-      bindContext.boundElementByKey = {}
-    }
-    arrangeElements(ctx, bindContext, oldState)
+function watchPath (ctx, path) {
+  if (typeof path !== 'string' || path === '') {
+    throw new Error('Invalid path')
+  }
+  const changed = (changedPaths) => {
+    const value = readPath(ctx.currentValue, path)
+    const isObject = value !== null && typeof value === 'object'
+    const result = value !== changed.value || (changedPaths || []).some(changedPath =>
+      // objects can be modified in place, so count changes to the object itself or any of its children
+      (isObject && changedPath === path) || changedPath.startsWith(path + '.')
+    )
+    changed.value = value
+    return result
   }
+  changed.value = readPath(ctx.currentValue, path)
+  return changed
 }
 
-function keyMapper (mapKey, value) {
-  if (typeof value !== 'object') {
-    return value
-  } else if (typeof mapKey !== 'function') {
+let batchDepth = 0
+const pendingUpdates = new Map()
+
+/**
+ * Execute the given function and defer notifying observers of any states that were changed until the function completes.
+ *
+ * The observers of each changed state are notified once with the final value of the state,
+ * no matter how many times the state was changed within the batch.
+ *
+ * Batches can be nested, observers are notified when the outermost batch completes.
+ *
+ * The function must be synchronous, state changes made after an await will not be included in the batch.
+ *
+ * @param fn {function(): *} A function that performs the state updates
+ * @returns {*} The value returned by fn
+ */
+export const batch = (fn) => {
+  if (typeof fn !== 'function') {
+    throw new Error('You must pass a function to batch.')
+  }
+  batchDepth++
+  try {
+    return fn()
+  } finally {
+    batchDepth--
+    if (batchDepth === 0) {
+      flushBatch()
+    }
+  }
+}
+
+function flushBatch () {
+  // the first error thrown by an observer is rethrown once every state has been notified
+  let failed = false
+  let error
+  // states changed by observers during the flush (i.e. computed states) are collected and notified in the next pass
+  while (pendingUpdates.size > 0) {
+    const updates = [...pendingUpdates]
+    pendingUpdates.clear()
+    batchDepth++
+    for (const [ctx, oldState] of updates) {
+      try {
+        notifyObservers(ctx, ctx.currentValue, oldState)
+      } catch (e) {
+        if (!failed) {
+          failed = true
+          error = e
+        }
+      }
+    }
+    batchDepth--
+  }
+  if (failed) {
+    throw error
+  }
+}
+
+/**
+ * Create a read only state whose value is computed from one or more other states.
+ *
+ * The compute function receives the current value of each source state, in the same order as the states array,
+ * and is re-executed only when one of the source states changes.
+ *
+ * The returned state supports the full binding api, but calling it with a value, assign, or setPath will throw an error.
+ *
+ * @param states {function[]} The fnstates to compute the value from
+ * @param compute {function(...*): *} A function that returns the computed value
+ * @param [mapKey] A map function to extract a key from an element in the array. Only needed when using bindChildren.
+ * @returns function A read only state containing the result of the compute function.
+ * The returned state has a dispose function that stops listening to the source states.
+ */
+export const fncomputed = (states, compute, mapKey) => {
+  if (!Array.isArray(states) || states.some(s => !s || !s.isFnState)) {
+    throw new Error('You must pass an array of fnstates to fncomputed.')
+  }
+  if (typeof compute !== 'function') {
+    throw new Error('You must pass a compute function to fncomputed.')
+  }
+  const evaluate = () => compute(...states.map(s => s()))
+  const ctx = createStateCtx(evaluate(), mapKey)
+  ctx.readOnly = true
+  const unsubscribes = states.map(s => s.subscribe(() => doSetState(ctx, evaluate())))
+
+  /**
+   * Stop listening to the source states. The computed value will no longer be updated.
+   */
+  ctx.state.dispose = () => {
+    for (const unsubscribe of unsubscribes.splice(0)) unsubscribe()
+  }
+  return ctx.state
+}
+
+/**
+ * Record the changes made to a state so they can be undone and redone.
+ *
+ * Every change to the state is recorded, whether it's made by calling the state, assign, setPath, or a bound element. A snapshot of the value is saved for
+ * each change, so modifying the current value in place and setting it again doesn't affect the recorded values. Changes made in a batch are recorded as one entry.
+ *
+ * @param state {function} The fnstate to record the changes of
+ * @param [options.limit] {number} The maximum number of changes to keep, the oldest changes are dropped first. Defaults to 100
+ * @returns {{undo: function(): boolean, redo: function(): boolean, canUndo: function, canRedo: function, group: function(function(): *): *, clear: function(), dispose: function()}}
+ * canUndo and canRedo are read only states that can be bound to.
+ */
+export const fnhistory = (state, { limit = 100 } = {}) => {
+  if (!state || !state.isFnState) {
+    throw new Error('You must pass an fnstate to fnhistory.')
+  }
+  const canUndo = createStateCtx(false)
+  const canRedo = createStateCtx(false)
+  canUndo.readOnly = canRedo.readOnly = true
+
+  let past = []
+  let future = []
+  let current = snapshot(state())
+  // the value set by undo or redo, so it isn't recorded as a new change
+  let restored = notRestoring
+  let groupDepth = 0
+  let groupStart = null
+
+  const updateFlags = () => batch(() => {
+    doSetState(canUndo, past.length > 0)
+    doSetState(canRedo, future.length > 0)
+  })
+  const record = (entry) => {
+    past.push(entry)
+    if (past.length > limit) past.splice(0, past.length - limit)
+    future = []
+    updateFlags()
+  }
+  const restore = (value) => {
+    current = value
+    restored = snapshot(value)
+    state(restored)
+    updateFlags()
+  }
+
+  // recorded as an internal observer so resetting the state doesn't stop recording
+  const stateCtx = stateContexts.get(state)
+  const unsubscribe = doSubscribe(stateCtx, stateCtx.internalObservers, (newValue) => {
+    if (newValue === restored) {
+      restored = notRestoring
+      return
+    }
+    restored = notRestoring
+    const previous = current
+    current = snapshot(newValue)
+    if (groupDepth > 0) {
+      if (groupStart === null) groupStart = previous
+    } else {
+      record(previous)
+    }
+  })
+
+  return {
+    canUndo: canUndo.state,
+    canRedo: canRedo.state,
+    /**
+     * Set the state to the value it had before the last change
+     * @returns {boolean} Whether there was a change to undo
+     */
+    undo: () => {
+      if (past.length === 0) return false
+      future.push(current)
+      restore(past.pop())
+      return true
+    },
+    /**
+     * Set the state to the value it had before the last undo
+     * @returns {boolean} Whether there was a change to redo
+     */
+    redo: () => {
+      if (future.length === 0) return false
+      past.push(current)
+      restore(future.pop())
+      return true
+    },
+    /**
+     * Record all of the changes made while executing the given function as a single entry
+     * @param fn {function(): *} A function that performs the state updates
+     * @returns {*} The value returned by fn
+     */
+    group: (fn) => {
+      groupDepth++
+      try {
+        return fn()
+      } finally {
+        groupDepth--
+        if (groupDepth === 0 && groupStart !== null) {
+          const start = groupStart
+          groupStart = null
+          record(start)
+        }
+      }
+    },
+    /**
+     * Forget all of the recorded changes
+     */
+    clear: () => {
+      past = []
+      future = []
+      current = snapshot(state())
+      updateFlags()
+    },
+    /**
+     * Stop recording changes to the state
+     */
+    dispose: () => unsubscribe()
+  }
+}
+
+const notRestoring = Symbol('notRestoring')
+
+/**
+ * Copy arrays and plain objects so later changes to the value don't change the copy. The states created by bindChildren are unwrapped.
+ */
+function snapshot (value) {
+  if (value && value.isFnState) {
+    return snapshot(value())
+  }
+  if (Array.isArray(value)) {
+    return value.map(snapshot)
+  }
+  if (value && typeof value === 'object') {
+    const proto = Object.getPrototypeOf(value)
+    if (proto === Object.prototype || proto === null) {
+      const copy = Object.create(proto)
+      for (const key of Object.keys(value)) copy[key] = snapshot(value[key])
+      return copy
+    }
+  }
+  return value
+}
+
+/**
+ * Create a resource that loads data using an async fetcher and tracks whether it's loading and whether it failed.
+ *
+ * The data is fetched when the resource is created, and again whenever one of the dependency states changes. If requests race,
+ * only the result of the latest request is used, and the signal passed to the fetcher of an older request is aborted.
+ *
+ * Calling the resource renders it, so it can be passed directly as a child of h. The loading fallback is rendered while loading,
+ * the error fallback is rendered if the fetcher failed, and the render function is used otherwise.
+ *
+ *  const user = fnresource((id, { signal }) => fetch(`/users/${id}`, { signal }).then(r => r.json()), {
+ *    deps: [userId],
+ *    render: user => div(user.name),
+ *    loading: () => span('Loading...'),
+ *    error: (e, refetch) => button({ onclick: refetch }, 'Try again')
+ *  })
+ *  div(user)
+ *
+ * @param fetcher {function(...*): Promise} Receives the values of the dependency states, followed by an object with an AbortSignal, and returns the data
+ * @param [options.deps] {function[]} The fnstates the request depends on, the data is fetched again when any of them change
+ * @param [options.initialValue] The value of the data before the first request completes
+ * @param [options.render] {function(*): Node} Render the data, defaults to the data itself
+ * @param [options.loading] The element to render while loading, or a function that returns it
+ * @param [options.error] {function(Error, function): Node} Render the error, receives the error and the refetch function. Renders nothing by default
+ * @returns {function(): Node} A function that renders the resource. It has the read only data, loading, and error states, and the refetch, mutate, and dispose functions.
+ */
+export const fnresource = (fetcher, { deps = [], initialValue, render = data => data, loading: loadingFallback = '', error: errorFallback = () => '' } = {}) => {
+  if (typeof fetcher !== 'function') {
+    throw new Error('You must pass a fetcher function to fnresource.')
+  }
+  if (!Array.isArray(deps) || deps.some(s => !s || !s.isFnState)) {
+    throw new Error('The deps of a resource must be an array of fnstates.')
+  }
+  const data = createStateCtx(initialValue)
+  const loading = createStateCtx(false)
+  const error = createStateCtx(null)
+  data.readOnly = loading.readOnly = error.readOnly = true
+  const view = fncomputed([data.state, loading.state, error.state], (data, loading, error) => ({ data, loading, error }))
+
+  let requestId = 0
+  let controller = null
+  const abort = () => {
+    if (controller !== null) controller.abort()
+    controller = null
+  }
+
+  const refetch = () => {
+    const id = ++requestId
+    abort()
+    controller = typeof AbortController === 'function' ? new AbortController() : null
+    const signal = controller && controller.signal
+    doSetState(loading, true)
+    return Promise.resolve()
+      .then(() => fetcher(...deps.map(s => s()), { signal }))
+      .then(
+        result => {
+          if (id !== requestId) return data.currentValue
+          batch(() => {
+            doSetState(data, result)
+            doSetState(error, null)
+            doSetState(loading, false)
+          })
+          return result
+        },
+        e => {
+          if (id !== requestId) return data.currentValue
+          batch(() => {
+            doSetState(error, e)
+            doSetState(loading, false)
+          })
+          return data.currentValue
+        }
+      )
+      .finally(() => {
+        if (id === requestId) controller = null
+      })
+  }
+
+  const unsubscribes = deps.map(s => s.subscribe(() => refetch()))
+
+  const resource = () => view.bindAs(({ data, loading, error }) =>
+    loading
+      ? typeof loadingFallback === 'function' ? loadingFallback() : loadingFallback
+      : error !== null ? errorFallback(error, refetch) : render(data)
+  )
+  resource.isFnResource = true
+  resource.data = data.state
+  resource.loading = loading.state
+  resource.error = error.state
+  /**
+   * Fetch the data again
+   * @returns {Promise<*>} The data after the request completes
+   */
+  resource.refetch = refetch
+  /**
+   * Set the data directly, i.e. after an optimistic update. Pending requests are ignored.
+   * @param value The new data, or a function that receives the current data and returns the new data
+   */
+  resource.mutate = (value) => {
+    requestId++
+    abort()
+    batch(() => {
+      doSetState(data, typeof value === 'function' ? value(data.currentValue) : value)
+      doSetState(error, null)
+      doSetState(loading, false)
+    })
+  }
+  /**
+   * Stop listening to the dependency states and abort any pending request
+   */
+  resource.dispose = () => {
+    requestId++
+    abort()
+    for (const unsubscribe of unsubscribes.splice(0)) unsubscribe()
+    view.dispose()
+  }
+  refetch()
+  return resource
+}
+
+function doSubscribe (ctx, list, listener, holderRef) {
+  const id = ctx.nextId++
+  list.push({ id, fn: listener, holderRef })
+  return () => {
+    if (!list) return
+    const i = list.findIndex(l => l.id === id)
+    if (i > -1) {
+      list.splice(i, 1)
+    }
+    list = null
+  }
+}
+
+/**
+ * Holders of bindings are kept alive by the node they are bound to, and subscriptions only keep a weak reference to the holder.
+ * Once a bound node is removed from the document and garbage collected, the holder is collected too and the subscription is released.
+ */
+const retainedHolders = new WeakMap()
+const releaseSubscription = new FinalizationRegistry(unsubscribe => unsubscribe())
+
+function retain (node, holder) {
+  let holders = retainedHolders.get(node)
+  if (holders === undefined) {
+    holders = []
+    retainedHolders.set(node, holders)
+  }
+  holders.push(holder)
+}
+
+/**
+ * Subscribe a listener that lives only as long as the given node.
+ *
+ * The listener receives the holder as the first argument and must not reference the node or the holder directly,
+ * otherwise the subscription will keep the node from being collected.
+ */
+function subscribeWhileRetained (ctx, list, node, holder, listener) {
+  retain(node, holder)
+  const holderRef = new WeakRef(holder)
+  const boundaryRef = currentBoundary && new WeakRef(currentBoundary)
+  const generation = currentBoundary && currentBoundary.generation
+  // elements rendered by the listener can read the same contexts as the elements rendered initially
+  const contexts = currentContexts
+  const unsubscribe = doSubscribe(ctx, list, (newState, oldState, changedPaths, arrayPatches) => {
+    const holder = holderRef.deref()
+    if (holder !== undefined) {
+      const update = () => listener(holder, newState, oldState, changedPaths, arrayPatches)
+      runWithContexts(contexts, boundaryRef === null ? update : () => runInBoundary(boundaryRef.deref(), generation, update))
+    }
+  }, holderRef)
+  releaseSubscription.register(holder, unsubscribe)
+  return unsubscribe
+}
+
+/**
+ * Create an error boundary around the elements rendered by the content function.
+ *
+ * If rendering the content, or updating any of the bindings inside of it, throws an error, the content is replaced with the fallback and the error
+ * is passed to onerror. The error no longer escapes the state setter, so the other observers of the state are still updated.
+ *
+ * After an error, the next change to a state bound inside of the content renders the content again. The fallback also receives a retry
+ * function that renders the content again, which is the only way to recover from errors thrown outside of a binding.
+ *
+ *  fnboundary(() => div(user.bindAs(u => span(u.profile.name))), {
+ *    fallback: (e, retry) => button({ onclick: retry }, 'Something went wrong, try again'),
+ *    onerror: e => reportError(e)
+ *  })
+ *
+ * @param content {function(): Node} A function that renders the content
+ * @param [options.fallback] {function(Error, function): Node} Render the fallback, receives the error and the retry function. Renders nothing by default
+ * @param [options.onerror] {function(Error)} Called with every error caught by the boundary. Defaults to console.error
+ * @returns {HTMLDivElement} A div with display: contents that holds the content or the fallback
+ */
+export const fnboundary = (content, { fallback = () => '', onerror = defaultBoundaryErrorHandler } = {}) => {
+  if (typeof content !== 'function') {
+    throw new Error('You must pass a function that renders the content to fnboundary.')
+  }
+  const element = h('div', { style: 'display:contents', class: 'fntags-boundary' })
+  const boundary = { element, content, fallback, onerror, generation: 0, failed: false, rendered: null, renderError: null }
+  const inContext = captureContext()
+  boundary.retry = () => inContext(() => renderBoundary(boundary))
+  retain(element, boundary)
+  renderBoundary(boundary)
+  return element
+}
+
+const defaultBoundaryErrorHandler = e => console.error('Caught error rendering element.', e)
+
+// the boundary that bindings created while rendering belong to
+let currentBoundary = null
+
+function renderBoundary (boundary) {
+  // ignore the bindings of the previous render from now on
+  boundary.generation++
+  boundary.renderError = null
+  const previousBoundary = currentBoundary
+  currentBoundary = boundary
+  let rendered = null
+  try {
+    rendered = renderNode(boundary.content())
+  } catch (e) {
+    boundary.renderError = e
+  } finally {
+    currentBoundary = previousBoundary
+  }
+  // keep the content, so the bindings that failed can trigger a retry when their state changes
+  boundary.rendered = rendered
+  if (boundary.renderError !== null) {
+    showFallback(boundary, boundary.renderError)
+  } else {
+    boundary.failed = false
+    boundary.element.replaceChildren(rendered)
+  }
+}
+
+function showFallback (boundary, error) {
+  boundary.failed = true
+  boundary.onerror(error)
+  boundary.element.replaceChildren(renderNode(boundary.fallback(error, boundary.retry)))
+}
+
+/**
+ * Run a binding update that belongs to the given boundary, or render the content again if the boundary previously failed
+ */
+function runInBoundary (boundary, generation, update) {
+  if (boundary === undefined) {
+    // the binding was moved out of the boundary before the boundary was collected
+    update()
+    return
+  }
+  if (boundary.generation !== generation) {
+    // the binding belongs to content that was replaced
+    return
+  }
+  if (boundary.failed) {
+    boundary.retry()
+    return
+  }
+  const previousBoundary = currentBoundary
+  currentBoundary = boundary
+  try {
+    update()
+  } catch (e) {
+    showFallback(boundary, e)
+  } finally {
+    currentBoundary = previousBoundary
+  }
+}
+
+/**
+ * Render the initial content of a binding. Inside of a boundary, errors are recorded on the boundary and the placeholder is rendered instead,
+ * so the binding is still created and can render again when the state changes.
+ */
+function catchRenderError (render, placeholder) {
+  if (currentBoundary === null) {
+    return render()
+  }
+  try {
+    return render()
+  } catch (e) {
+    if (currentBoundary.renderError === null) currentBoundary.renderError = e
+    return placeholder()
+  }
+}
+
+/**
+ * Create a context that makes a value available to all of the elements rendered inside of a provider, without passing it through every function in between.
+ *
+ * The value is available while the content function of the provider is running, and to the elements rendered later by bindings that were created inside of it,
+ * i.e. by bindAs, bindChildren, and routes. To read the value in other callbacks, like a promise callback, use captureContext.
+ *
+ *  const theme = fncontext('light')
+ *  const themedButton = (...children) => button({ class: `btn-${theme()}` }, ...children)
+ *
+ *  theme.provide('dark', () => div(themedButton('Save')))
+ *
+ * @param [defaultValue] The value to use when the context is read outside of a provider
+ * @returns {function(): *} A function that returns the value of the nearest provider, or the default value.
+ * It has a provide function that receives the value to provide and a function that renders the content, and returns the rendered content.
+ */
+export const fncontext = (defaultValue) => {
+  const context = () => currentContexts.has(context) ? currentContexts.get(context) : defaultValue
+  context.provide = (value, content) => {
+    if (typeof content !== 'function') {
+      throw new Error('You must pass a function that renders the content to provide.')
+    }
+    return runWithContexts(new Map(currentContexts).set(context, value), () => renderNode(content()))
+  }
+  return context
+}
+
+/**
+ * Capture the values of the contexts that are currently provided
+ * @returns {function(function(): *): *} A function that executes the given function with the captured context values and returns its result
+ */
+export const captureContext = () => {
+  const contexts = currentContexts
+  return fn => runWithContexts(contexts, fn)
+}
+
+// the values of the contexts provided to the elements that are being rendered
+let currentContexts = new Map()
+
+function runWithContexts (contexts, fn) {
+  const previousContexts = currentContexts
+  currentContexts = contexts
+  try {
+    return fn()
+  } finally {
+    currentContexts = previousContexts
+  }
+}
+
+const isLive = observer => observer.holderRef === undefined || observer.holderRef.deref() !== undefined
+
+function countLiveObservers (ctx) {
+  let count = ctx.observers.filter(isLive).length
+  for (const key in ctx.selectObservers) {
+    count += ctx.selectObservers[key].filter(isLive).length
+  }
+  return count
+}
+
+const subscribeSelect = (ctx, node, holder, listener) => {
+  const parentCtx = ctx.state.parentCtx
+  const key = keyMapper(parentCtx.mapKey, ctx.currentValue)
+  if (parentCtx.selectObservers[key] === undefined) {
+    parentCtx.selectObservers[key] = []
+  }
+  subscribeWhileRetained(parentCtx, parentCtx.selectObservers[key], node, holder, listener)
+}
+
+const doBindSelectAttr = function (ctx, attribute) {
+  const boundAttr = createBoundAttr(attribute)
+  boundAttr.init = (attrName, element) =>
+    subscribeSelect(ctx, element, { element, attribute }, (holder) => setAttribute(attrName, holder.attribute(), holder.element))
+  return boundAttr
+}
+
+function createBoundAttr (attr) {
+  if (typeof attr !== 'function') {
+    throw new Error('You must pass a function to bindAttr')
+  }
+  // wrap the function to avoid modifying it
+  const boundAttr = () => attr()
+  boundAttr.isBoundAttribute = true
+  return boundAttr
+}
+
+function doBindAttr (ctx, attribute) {
+  const boundAttr = createBoundAttr(attribute)
+  boundAttr.init = (attrName, element) =>
+    subscribeWhileRetained(ctx, ctx.observers, element, { element, attribute }, (holder) => setAttribute(attrName, holder.attribute(), holder.element))
+  return boundAttr
+}
+
+function doBindAttrPath (ctx, path, attribute) {
+  if (typeof attribute !== 'function') {
+    throw new Error('You must pass a function to bindAttrPath')
+  }
+  const boundAttr = createBoundAttr(() => attribute(readPath(ctx.currentValue, path)))
+  boundAttr.init = (attrName, element) => {
+    const changed = watchPath(ctx, path)
+    subscribeWhileRetained(ctx, ctx.observers, element, { element, attribute: boundAttr }, (holder, newState, oldState, changedPaths) => {
+      if (changed(changedPaths)) setAttribute(attrName, holder.attribute(), holder.element)
+    })
+  }
+  return boundAttr
+}
+
+function doBindStyle (ctx, style) {
+  if (typeof style !== 'function') {
+    throw new Error('You must pass a function to bindStyle')
+  }
+  const boundStyle = () => style()
+  boundStyle.isBoundStyle = true
+  boundStyle.init = (styleName, element) =>
+    subscribeWhileRetained(ctx, ctx.observers, element, { element, style }, (holder) => { holder.element.style[styleName] = holder.style() })
+  return boundStyle
+}
+
+function doBindValue (ctx, get, set) {
+  const boundValue = () => get()
+  boundValue.isBoundValue = true
+  boundValue.init = (element) => {
+    writeValue(element, get())
+    if (element.tagName === 'SELECT') {
+      // the options are added after the attributes are set
+      queueMicrotask(() => writeValue(element, get()))
+    }
+    const holder = { element, updating: false }
+    subscribeWhileRetained(ctx, ctx.observers, element, holder, holder => {
+      // don't write back to the element that triggered the update, it already has the value and would lose the cursor position
+      if (!holder.updating) writeValue(holder.element, get())
+    })
+    addListener(element, valueEventName(element), (e) => {
+      holder.updating = true
+      try {
+        set(readValue(e.currentTarget, get()))
+      } finally {
+        holder.updating = false
+      }
+    })
+  }
+  return boundValue
+}
+
+const valueEventName = element =>
+  element.tagName === 'SELECT' || element.type === 'checkbox' || element.type === 'radio' ? 'change' : 'input'
+
+function writeValue (element, value) {
+  if (element.type === 'checkbox') {
+    element.checked = Array.isArray(value) ? value.some(v => String(v) === element.value) : !!value
+  } else if (element.type === 'radio') {
+    element.checked = value !== null && value !== undefined && String(value) === element.value
+  } else if (element.tagName === 'SELECT' && element.multiple) {
+    const selected = Array.isArray(value) ? value.map(String) : []
+    for (const option of element.options) option.selected = selected.includes(option.value)
+  } else {
+    const text = value === null || value === undefined ? '' : String(value)
+    if (element.value !== text) {
+      element.value = text
+    }
+  }
+}
+
+function readValue (element, current) {
+  if (element.type === 'checkbox') {
+    if (!Array.isArray(current)) {
+      return element.checked
+    }
+    const others = current.filter(v => String(v) !== element.value)
+    return element.checked ? [...others, String(element.__fnvalue) === element.value ? element.__fnvalue : element.value] : others
+  } else if (element.tagName === 'SELECT' && element.multiple) {
+    return Array.from(element.selectedOptions).map(option => option.value)
+  } else if (element.type === 'number' || element.type === 'range' || typeof current === 'number') {
+    return element.value === '' ? null : Number(element.value)
+  } else {
+    return element.value
+  }
+}
+
+function doReset (ctx, reInit, initialValue) {
+  ctx.observers = []
+  ctx.selectObservers = {}
+  if (reInit) {
+    ctx.currentValue = initialValue
+  }
+}
+
+function doSelect (ctx, key) {
+  ctx.selectionAnchor = key
+  updateSelection(ctx, new Set(key === undefined ? [] : [key]), key)
+}
+
+/**
+ * Replace the selected keys, only the select observers of the keys that were selected or deselected are notified
+ */
+function updateSelection (ctx, selection, selected) {
+  const previous = ctx.selection
+  ctx.selection = selection
+  ctx.selected = selected
+  const changed = [...previous].filter(key => !selection.has(key)).concat([...selection].filter(key => !previous.has(key)))
+  if (changed.length === 0) {
+    return
+  }
+  if (ctx.selectedKeys !== undefined) {
+    doSetState(ctx.selectedKeys, Array.from(selection))
+  }
+  for (const key of changed) {
+    if (ctx.selectObservers[key] !== undefined) {
+      for (const obs of ctx.selectObservers[key]) obs.fn()
+    }
+  }
+}
+
+/**
+ * Deselect the keys that are no longer in the array
+ */
+function pruneSelection (ctx) {
+  const keys = new Set(arrayKeys(ctx))
+  const selection = new Set([...ctx.selection].filter(key => keys.has(key)))
+  if (!keys.has(ctx.selectionAnchor)) {
+    ctx.selectionAnchor = undefined
+  }
+  if (selection.size !== ctx.selection.size) {
+    updateSelection(ctx, selection, keys.has(ctx.selected) ? ctx.selected : undefined)
+  }
+}
+
+function selectedKeysCtx (ctx) {
+  if (ctx.selectedKeys === undefined) {
+    // created the first time it's used, so the states of array items don't each create one
+    ctx.selectedKeys = createStateCtx(Array.from(ctx.selection))
+    ctx.selectedKeys.readOnly = true
+  }
+  return ctx.selectedKeys
+}
+
+function assertMultipleSelection (ctx, name) {
+  if (ctx.selectionMode !== 'multiple') {
+    throw new Error(`${name} can only be used with the multiple selection mode, i.e. fnstate([], { mapKey, selection: 'multiple' })`)
+  }
+}
+
+function arrayKeys (ctx) {
+  if (!Array.isArray(ctx.currentValue)) {
+    throw new Error('This state does not contain an array.')
+  }
+  return ctx.currentValue.map(item => keyMapper(ctx.mapKey, unwrapState(item)))
+}
+
+function doBindChildren (ctx, parent, element, update) {
+  parent = renderNode(parent)
+  if (parent === undefined || parent.nodeType === undefined) {
+    throw new Error('You must provide a parent element to bind the children to. aka Need Bukkit.')
+  }
+  if (typeof element !== 'function' && typeof update !== 'function') {
+    throw new Error('You must pass an update function when passing a non function element')
+  }
+  if (typeof ctx.mapKey !== 'function') {
+    console.warn('Using value index as key, may not work correctly when moving items...')
+    ctx.mapKey = (o, i) => i
+  }
+
+  if (!Array.isArray(ctx.currentValue)) {
+    throw new Error('You can only use bindChildren with a state that contains an array. try myState([mystate]) before calling this function.')
+  }
+  ctx.currentValue = ctx.currentValue.map(v => v.isFnState ? v : fnstate(v, { equals: ctx.equals }))
+  const bindContext = { element, update, parent }
+  ctx.bindContexts.push(new WeakRef(bindContext))
+  subscribeWhileRetained(ctx, ctx.observers, parent, bindContext, (bindContext, newState, oldState, changedPaths, arrayPatches) => {
+    if (arrayPatches !== null && bindContext.boundElementByKey !== undefined) {
+      transitionChildren(bindContext, () => applyPatches(ctx, bindContext, arrayPatches))
+    } else if (!Array.isArray(ctx.currentValue)) {
+      console.warn('A state used with bindChildren was updated to a non array value. This will be converted to an array of 1 and the state will be updated.')
+      ctx.state([ctx.currentValue])
+    } else {
+      reconcile(ctx, oldState)
+    }
+  })
+  catchRenderError(() => reconcile(ctx), () => undefined)
+  // the initial children are not animated
+  bindContext.transition = parent.transition
+  return parent
+}
+
+const doBind = function (ctx, element, update, handleUpdate, handleReplace) {
+  if (typeof element !== 'function' && typeof update !== 'function') {
+    throw new Error('You must pass an update function when passing a non function element')
+  }
+  if (typeof update === 'function') {
+    const boundElement = renderNode(evaluateElement(element, ctx.currentValue))
+    handleUpdate(boundElement, { element: boundElement, update })
+    return boundElement
+  } else {
+    const elCtx = {
+      current: catchRenderError(() => renderRegion(evaluateElement(element, ctx.currentValue)), () => document.createTextNode('')),
+      element
+    }
+    handleReplace(elCtx)
+    return () => placeableRegion(elCtx.current)
+  }
+}
+
+const updateReplacer = ctx => elCtx => {
+  const rendered = renderRegion(evaluateElement(elCtx.element, ctx.currentValue))
+  if (rendered !== undefined) {
+    if (elCtx.current.key !== undefined) {
+      rendered.key = elCtx.current.key
+    }
+    if (ctx.parentCtx) {
+      for (const bindContext of liveBindContexts(ctx.parentCtx)) {
+        if (bindContext.boundElementByKey[elCtx.current.key] === elCtx.current) {
+          bindContext.boundElementByKey[elCtx.current.key] = rendered
+        }
+      }
+    }
+    // the new element keeps the binding alive from now on
+    retain(rendered, elCtx)
+    // errors are thrown to the enclosing boundary, or the setter of the state if there isn't one
+    replaceRegion(elCtx.current, rendered, elCtx.element.transition)
+    elCtx.current = rendered
+  }
+}
+
+/**
+ * Render the value of a bound function. Arrays, fragments, null, and undefined are rendered as a region of any number of nodes
+ * between a start and end comment, and the start comment is returned. Other values are rendered as a single node.
+ */
+function renderRegion (value) {
+  const rendered = value === null || value === undefined ? [] : renderNode(value)
+  if (!Array.isArray(rendered) && rendered.nodeType !== 11) {
+    return rendered
+  }
+  const start = document.createComment('fntags-region')
+  start.regionEnd = document.createComment('/fntags-region')
+  const fragment = document.createDocumentFragment()
+  fragment.append(start)
+  for (const node of [rendered].flat(Infinity)) {
+    if (node !== null && node !== undefined) fragment.append(renderNode(node))
+  }
+  fragment.append(start.regionEnd)
+  return start
+}
+
+const isRegion = node => node.nodeType === 8 && node.regionEnd !== undefined
+
+/**
+ * Get the nodes of a region, including the start and end comments, or the node itself if it isn't a region
+ */
+function regionNodes (node) {
+  if (!isRegion(node)) {
+    return [node]
+  }
+  const nodes = [node]
+  let next = node
+  while (next !== node.regionEnd && next.nextSibling !== null) {
+    next = next.nextSibling
+    nodes.push(next)
+  }
+  return nodes
+}
+
+/**
+ * Get the node to insert into the document, a fragment that contains all of the nodes of a region
+ */
+function placeableRegion (node) {
+  if (!isRegion(node)) {
+    return node
+  }
+  if (node.parentNode && node.parentNode.nodeType === 11 && node.parentNode.firstChild === node) {
+    return node.parentNode
+  }
+  const fragment = document.createDocumentFragment()
+  fragment.append(...regionNodes(node))
+  return fragment
+}
+
+function replaceRegion (current, rendered, transition) {
+  const oldNodes = regionNodes(current)
+  const newNodes = new Set(regionNodes(rendered))
+  const parent = oldNodes[0].parentNode
+  if (parent === null) {
+    return
+  }
+  const keptNodes = new Set(oldNodes)
+  parent.insertBefore(placeableRegion(rendered), oldNodes[0])
+  for (const node of oldNodes) {
+    if (!newNodes.has(node)) {
+      if (transition) {
+        leave(node, transition)
+      } else {
+        node.remove()
+      }
+    }
+  }
+  if (transition) {
+    for (const node of newNodes) {
+      if (!keptNodes.has(node)) enter(node, transition)
+    }
+  }
+}
+
+/**
+ * Arrange the children of a bindChildren parent using the given function, and animate the children that were added, removed, and moved
+ * if the parent was passed to fntransition.
+ *
+ * The elements that are leaving stay in the parent until their animation ends, so they are taken out while the children are arranged and put back
+ * where they were afterwards.
+ */
+function transitionChildren (bindContext, arrange) {
+  const transition = bindContext.transition
+  if (!transition) {
+    return arrange()
+  }
+  const parent = bindContext.parent
+  const leaving = []
+  const positions = new Map()
+  // the node each child was in front of, so leaving children can be put back in place
+  const nextSiblings = new Map()
+  for (const node of Array.from(parent.childNodes)) {
+    if (node.leaving) {
+      leaving.push(node)
+      nextSiblings.set(node, node.nextSibling)
+    } else {
+      positions.set(node, transition.move && node.nodeType === 1 ? node.getBoundingClientRect() : null)
+      nextSiblings.set(node, node.nextSibling)
+    }
+  }
+  for (const node of leaving) node.remove()
+  try {
+    arrange()
+  } finally {
+    for (let i = leaving.length - 1; i >= 0; i--) {
+      putBack(parent, leaving[i], nextSiblings)
+    }
+  }
+  const removed = Array.from(positions.keys()).filter(node => node.parentNode !== parent)
+  for (let i = removed.length - 1; i >= 0; i--) {
+    putBack(parent, removed[i], nextSiblings)
+    leave(removed[i], transition)
+  }
+  const moved = []
+  for (const node of parent.childNodes) {
+    if (!positions.has(node)) {
+      if (!node.leaving) enter(node, transition)
+    } else if (positions.get(node) !== null && !node.leaving) {
+      const first = positions.get(node)
+      const last = node.getBoundingClientRect()
+      const dx = first.left - last.left
+      const dy = first.top - last.top
+      if (dx !== 0 || dy !== 0) {
+        // play the move backwards from where the element was
+        node.style.transitionDuration = '0s'
+        node.style.transform = `translate(${dx}px, ${dy}px)`
+        moved.push(node)
+      }
+    }
+  }
+  if (moved.length > 0) {
+    // apply the transforms before the move classes are added
+    parent.getBoundingClientRect()
+    for (const node of moved) {
+      node.classList.add(`${transition.name}-move`)
+      node.style.transitionDuration = ''
+      node.style.transform = ''
+      whenTransitionEnds(node, transition, () => node.classList.remove(`${transition.name}-move`))
+    }
+  }
+}
+
+function putBack (parent, node, nextSiblings) {
+  let next = nextSiblings.get(node)
+  while (next && next.parentNode !== parent) {
+    next = nextSiblings.get(next)
+  }
+  parent.insertBefore(node, next || null)
+}
+
+const nextFrame = (fn) => typeof requestAnimationFrame === 'function'
+  ? requestAnimationFrame(() => requestAnimationFrame(fn))
+  : setTimeout(fn, 16)
+
+/**
+ * Add the enter classes to an element that was just added. The from class is replaced with the to class on the next frame,
+ * and the classes are removed once the transition or animation ends.
+ */
+function enter (node, transition) {
+  if (node.nodeType !== 1) return
+  const { name } = transition
+  node.classList.add(`${name}-enter-from`, `${name}-enter-active`)
+  nextFrame(() => {
+    node.classList.remove(`${name}-enter-from`)
+    node.classList.add(`${name}-enter-to`)
+    whenTransitionEnds(node, transition, () => node.classList.remove(`${name}-enter-active`, `${name}-enter-to`))
+  })
+}
+
+/**
+ * Add the leave classes to an element that is being removed, and remove it once the transition or animation ends
+ */
+function leave (node, transition) {
+  if (node.nodeType !== 1) {
+    node.remove()
+    return
+  }
+  const { name } = transition
+  node.leaving = true
+  node.classList.remove(`${name}-enter-from`, `${name}-enter-active`, `${name}-enter-to`, `${name}-move`)
+  node.classList.add(`${name}-leave-from`, `${name}-leave-active`)
+  nextFrame(() => {
+    node.classList.remove(`${name}-leave-from`)
+    node.classList.add(`${name}-leave-to`)
+    whenTransitionEnds(node, transition, () => {
+      node.remove()
+      node.classList.remove(`${name}-leave-active`, `${name}-leave-to`)
+      node.leaving = false
+    })
+  })
+}
+
+/**
+ * Call done once the transitions and animations of an element end. The duration of the transition option is used if it's set,
+ * otherwise the longest duration in the computed style of the element is used.
+ */
+function whenTransitionEnds (node, transition, done) {
+  let timeout = transition.duration
+  if (timeout === undefined) {
+    const style = getComputedStyle(node)
+    timeout = Math.max(
+      longestDuration(style.transitionDelay, style.transitionDuration),
+      longestDuration(style.animationDelay, style.animationDuration)
+    )
+  }
+  if (!(timeout > 0)) {
+    done()
+    return
+  }
+  let finished = false
+  const finish = (e) => {
+    if (finished || (e && e.target !== node)) return
+    finished = true
+    node.removeEventListener('transitionend', finish)
+    node.removeEventListener('animationend', finish)
+    done()
+  }
+  if (transition.duration === undefined) {
+    node.addEventListener('transitionend', finish)
+    node.addEventListener('animationend', finish)
+  }
+  // the end events aren't fired when the transition is interrupted
+  setTimeout(finish, timeout + 1)
+}
+
+const toMs = time => time.trim().endsWith('ms') ? parseFloat(time) : parseFloat(time) * 1000
+
+function longestDuration (delays = '', durations = '') {
+  const delayList = delays.split(',')
+  let longest = 0
+  durations.split(',').forEach((duration, i) => {
+    const total = (toMs(duration) || 0) + (toMs(delayList[i % delayList.length] || '0s') || 0)
+    if (total > longest) longest = total
+  })
+  return longest
+}
+
+const doBindSelect = (ctx, element, update) =>
+  doBind(ctx, element, update,
+    (boundElement, holder) =>
+      subscribeSelect(ctx, boundElement, holder, holder => holder.update(holder.element)),
+    (elCtx) =>
+      subscribeSelect(ctx, elCtx.current, elCtx, updateReplacer(ctx))
+  )
+
+const doBindAs = (ctx, element, update) =>
+  doBind(ctx, element, update,
+    (boundElement, holder) => {
+      subscribeWhileRetained(ctx, ctx.observers, boundElement, holder, holder => holder.update(holder.element))
+    },
+    (elCtx) =>
+      subscribeWhileRetained(ctx, ctx.observers, elCtx.current, elCtx, updateReplacer(ctx))
+  )
+
+const doBindPath = (ctx, path, element, update) => {
+  const pathElement = typeof element === 'function' ? value => element(readPath(value, path)) : element
+  if (typeof element === 'function') pathElement.transition = element.transition
+  const subscribe = (node, holder, listener) => {
+    const changed = watchPath(ctx, path)
+    subscribeWhileRetained(ctx, ctx.observers, node, holder, (holder, newState, oldState, changedPaths) => {
+      if (changed(changedPaths)) listener(holder)
+    })
+  }
+  return doBind(ctx, pathElement, update,
+    (boundElement, holder) => subscribe(boundElement, holder, holder => holder.update(holder.element)),
+    (elCtx) => subscribe(elCtx.current, elCtx, updateReplacer(ctx))
+  )
+}
+
+/**
+ * Get the bind contexts of this state whose parent elements have not been collected
+ */
+function liveBindContexts (ctx) {
+  const live = []
+  ctx.bindContexts = ctx.bindContexts.filter(ref => {
+    const bindContext = ref.deref()
+    if (bindContext !== undefined) {
+      live.push(bindContext)
+      return true
+    }
+    return false
+  })
+  return live
+}
+
+/**
+ * Reconcile the state of the current array value with the state of the bound elements
+ */
+function reconcile (ctx, oldState) {
+  for (const bindContext of liveBindContexts(ctx)) {
+    if (bindContext.boundElementByKey === undefined) {
+      bindContext.boundElementByKey = {}
+    }
+    // virtual children are updated by their own subscription
+    if (!bindContext.virtual) {
+      transitionChildren(bindContext, () => arrangeElements(ctx, bindContext, oldState))
+    }
+  }
+}
+
+function keyMapper (mapKey, value) {
+  if (typeof value !== 'object') {
+    return value
+  } else if (typeof mapKey !== 'function') {
     return 0
   } else {
     return mapKey(value)
   }
 }
 
+/**
+ * Get the states of the items of the previous array value by key
+ */
+function previousItemStates (ctx, oldState) {
+  const states = new Map()
+  if (Array.isArray(oldState) && oldState !== ctx.currentValue) {
+    for (const item of oldState) {
+      if (item && item.isFnState) states.set(keyMapper(ctx.mapKey, item()), item)
+    }
+  }
+  return states
+}
+
 function arrangeElements (ctx, bindContext, oldState) {
   if (!ctx?.currentValue?.length) {
     bindContext.parent.textContent = ''
@@ -519,10 +2123,18 @@ function arrangeElements (ctx, bindContext, oldState) {
 
   const keys = {}
   const keysArr = []
+  const previousStates = previousItemStates(ctx, oldState)
   for (const i in ctx.currentValue) {
     let valueState = ctx.currentValue[i]
     if (valueState === null || valueState === undefined || !valueState.isFnState) {
-      valueState = ctx.currentValue[i] = fnstate(valueState)
+      // the element of a key that is still bound is bound to the previous state of the item, so the new value is set on that state
+      const previous = previousStates.get(keyMapper(ctx.mapKey, valueState))
+      if (previous !== undefined) {
+        previous(valueState)
+        valueState = ctx.currentValue[i] = previous
+      } else {
+        valueState = ctx.currentValue[i] = fnstate(valueState, { equals: ctx.equals })
+      }
     }
     const key = keyMapper(ctx.mapKey, valueState())
     if (keys[key]) {
@@ -541,14 +2153,9 @@ function arrangeElements (ctx, bindContext, oldState) {
     const valueState = ctx.currentValue[i]
     let current = bindContext.boundElementByKey[key]
     let isNew = false
-    // ensure the parent state is always set and can be accessed by the child states to lsiten to the selection change and such
-    if (valueState.parentCtx === undefined) {
-      valueState.parentCtx = ctx
-    }
     if (current === undefined) {
       isNew = true
-      current = bindContext.boundElementByKey[key] = renderNode(evaluateElement(bindContext.element, valueState))
-      current.key = key
+      current = renderChild(ctx, bindContext, key, valueState)
     }
     // place the element in the parent
     if (prev == null) {
@@ -599,6 +2206,408 @@ function arrangeElements (ctx, bindContext, oldState) {
   }
 }
 
+function renderChild (ctx, bindContext, key, valueState) {
+  // ensure the parent state is always set and can be accessed by the child states to lsiten to the selection change and such
+  if (valueState.parentCtx === undefined) {
+    valueState.parentCtx = ctx
+  }
+  const element = bindContext.boundElementByKey[key] = renderNode(evaluateElement(bindContext.element, valueState))
+  element.key = key
+  return element
+}
+
+/**
+ * Apply the changes made by the array functions to the bound children, only the children of the changed items are touched.
+ * If the children are out of sync with the patches, all of the children are arranged instead.
+ */
+function applyPatches (ctx, bindContext, patches) {
+  const parent = bindContext.parent
+  const boundElements = bindContext.boundElementByKey
+  const keyOf = item => keyMapper(ctx.mapKey, unwrapState(item))
+  const isBound = item => item === null || boundElements[keyOf(item)] !== undefined
+  const elementOf = item => item === null ? null : boundElements[keyOf(item)]
+  for (const patch of patches) {
+    if (patch.type === 'insert' && isBound(patch.before)) {
+      const before = elementOf(patch.before)
+      for (const item of patch.items) {
+        parent.insertBefore(renderChild(ctx, bindContext, keyOf(item), item), before)
+      }
+    } else if (patch.type === 'remove' && boundElements[patch.key] !== undefined) {
+      boundElements[patch.key].remove()
+      delete boundElements[patch.key]
+      delete ctx.selectObservers[patch.key]
+    } else if (patch.type === 'move' && isBound(patch.item) && isBound(patch.before)) {
+      parent.insertBefore(elementOf(patch.item), elementOf(patch.before))
+    } else if (patch.type === 'order' && patch.items.every(isBound)) {
+      let next = parent.firstChild
+      for (const item of patch.items) {
+        const element = elementOf(item)
+        if (element === next) {
+          next = next.nextSibling
+        } else {
+          parent.insertBefore(element, next)
+        }
+      }
+    } else if (patch.type !== 'update') {
+      // the children are out of sync with the patches
+      return arrangeElements(ctx, bindContext)
+    }
+  }
+}
+
+function doBindVirtualChildren (ctx, container, element, { rowHeight, estimatedRowHeight = 30, overscan = 5 } = {}) {
+  container = renderNode(container)
+  if (container === undefined || container.nodeType !== 1) {
+    throw new Error('You must provide a scroll container to bind the children to.')
+  }
+  if (typeof element !== 'function') {
+    throw new Error('You must pass a function that renders the element of a value to bindVirtualChildren.')
+  }
+  if (!Array.isArray(ctx.currentValue)) {
+    throw new Error('You can only use bindVirtualChildren with a state that contains an array.')
+  }
+  if (typeof ctx.mapKey !== 'function') {
+    console.warn('Using value index as key, may not work correctly when moving items...')
+    ctx.mapKey = (o, i) => i
+  }
+  const spacer = () => {
+    const el = document.createElement(container.tagName === 'UL' || container.tagName === 'OL' ? 'li' : 'div')
+    el.setAttribute('aria-hidden', 'true')
+    el.style.listStyle = 'none'
+    return el
+  }
+  const bindContext = {
+    virtual: true,
+    element,
+    parent: container,
+    boundElementByKey: {},
+    before: spacer(),
+    after: spacer(),
+    rowHeight,
+    estimatedRowHeight,
+    overscan,
+    // the heights of the measured elements by key
+    heights: new Map(),
+    layout: undefined,
+    stale: true
+  }
+  container.append(bindContext.before, bindContext.after)
+  ctx.bindContexts.push(new WeakRef(bindContext))
+  subscribeWhileRetained(ctx, ctx.observers, container, bindContext, bindContext => {
+    bindContext.stale = true
+    renderVirtualRows(ctx, bindContext)
+  })
+  // the rows rendered while scrolling can read the same contexts as the rows rendered initially
+  const withContext = captureContext()
+  addListener(container, 'scroll', () => withContext(() => renderVirtualRows(ctx, bindContext)))
+  if (typeof ResizeObserver !== 'undefined') {
+    const bindContextRef = new WeakRef(bindContext)
+    bindContext.resizeObserver = new ResizeObserver(() => {
+      const bindContext = bindContextRef.deref()
+      if (bindContext !== undefined) withContext(() => renderVirtualRows(ctx, bindContext))
+    })
+    bindContext.resizeObserver.observe(container)
+  }
+  catchRenderError(() => renderVirtualRows(ctx, bindContext), () => undefined)
+  return container
+}
+
+/**
+ * Compute the keys and offsets of the values of a virtual binding. Values without a measured height use the estimated height.
+ */
+function virtualLayout (ctx, bindContext) {
+  const keys = new Array(ctx.currentValue.length)
+  const indexByKey = new Map()
+  for (let i = 0; i < keys.length; i++) {
+    const key = keys[i] = keyMapper(ctx.mapKey, unwrapState(ctx.currentValue[i]))
+    if (indexByKey.has(key)) {
+      throw new Error('Duplicate keys in a bound array are not allowed.')
+    }
+    indexByKey.set(key, i)
+  }
+  const layout = { keys, indexByKey, offsets: new Float64Array(keys.length + 1) }
+  updateOffsets(bindContext, layout)
+  return layout
+}
+
+function updateOffsets (bindContext, layout) {
+  for (let i = 0; i < layout.keys.length; i++) {
+    const height = bindContext.rowHeight ?? bindContext.heights.get(layout.keys[i]) ?? bindContext.estimatedRowHeight
+    layout.offsets[i + 1] = layout.offsets[i] + height
+  }
+}
+
+/**
+ * Find the index of the value whose element contains the given offset, or ends at the offset if end is true
+ */
+function indexAtOffset (layout, offset, end = false) {
+  let low = 0
+  let high = layout.keys.length - 1
+  while (low < high) {
+    const mid = Math.ceil((low + high) / 2)
+    if (layout.offsets[mid] < offset || (!end && layout.offsets[mid] === offset)) {
+      low = mid
+    } else {
+      high = mid - 1
+    }
+  }
+  return low
+}
+
+/**
+ * Render the elements of the values that are visible in the container of a virtual binding, and remove the rest.
+ * The first visible element is used as an anchor, so it stays in place when the heights of the elements above it change.
+ */
+function renderVirtualRows (ctx, bindContext, scrollTop) {
+  const container = bindContext.parent
+  let anchor
+  if (bindContext.layout !== undefined && bindContext.layout.keys.length > 0) {
+    const top = scrollTop ?? container.scrollTop
+    const index = indexAtOffset(bindContext.layout, top)
+    anchor = { key: bindContext.layout.keys[index], delta: bindContext.layout.offsets[index] - top }
+  }
+  const restoreAnchor = () => {
+    const index = anchor && bindContext.layout.indexByKey.get(anchor.key)
+    if (index !== undefined) {
+      scrollTop = bindContext.layout.offsets[index] - anchor.delta
+    }
+  }
+  if (bindContext.stale) {
+    bindContext.layout = virtualLayout(ctx, bindContext)
+    bindContext.stale = false
+    restoreAnchor()
+  }
+  scrollTop = Math.max(0, scrollTop ?? container.scrollTop)
+  placeVirtualRows(ctx, bindContext, scrollTop)
+  if (bindContext.rowHeight === undefined && measureVirtualRows(bindContext)) {
+    updateOffsets(bindContext, bindContext.layout)
+    restoreAnchor()
+    placeVirtualRows(ctx, bindContext, scrollTop)
+  }
+  if (container.scrollTop !== scrollTop) {
+    container.scrollTop = scrollTop
+  }
+}
+
+function placeVirtualRows (ctx, bindContext, scrollTop) {
+  const { parent: container, layout, overscan, boundElementByKey } = bindContext
+  const count = layout.keys.length
+  // the container doesn't have a height until it's added to the document
+  const viewportHeight = container.clientHeight || window.innerHeight
+  const first = count === 0 ? 0 : Math.max(0, indexAtOffset(layout, scrollTop) - overscan)
+  const last = count === 0 ? -1 : Math.min(count - 1, indexAtOffset(layout, scrollTop + viewportHeight, true) + overscan)
+  const rendered = new Set()
+  let next = bindContext.before.nextSibling
+  for (let i = first; i <= last; i++) {
+    const key = layout.keys[i]
+    let element = boundElementByKey[key]
+    if (element === undefined) {
+      let valueState = ctx.currentValue[i]
+      // values are only wrapped in states once they're rendered
+      if (valueState === null || valueState === undefined || !valueState.isFnState) {
+        valueState = ctx.currentValue[i] = fnstate(valueState, { equals: ctx.equals })
+      }
+      element = renderChild(ctx, bindContext, key, valueState)
+      if (bindContext.resizeObserver && bindContext.rowHeight === undefined && element.nodeType === 1) {
+        bindContext.resizeObserver.observe(element)
+      }
+    }
+    rendered.add(element)
+    if (element === next) {
+      next = next.nextSibling
+    } else {
+      container.insertBefore(element, next)
+    }
+  }
+  for (const key in boundElementByKey) {
+    if (!rendered.has(boundElementByKey[key])) {
+      if (bindContext.resizeObserver && boundElementByKey[key].nodeType === 1) {
+        bindContext.resizeObserver.unobserve(boundElementByKey[key])
+      }
+      boundElementByKey[key].remove()
+      delete boundElementByKey[key]
+    }
+  }
+  bindContext.before.style.height = `${layout.offsets[first]}px`
+  bindContext.after.style.height = `${layout.offsets[count] - layout.offsets[last + 1]}px`
+}
+
+/**
+ * Measure the rendered elements of a virtual binding
+ * @returns {boolean} Whether the height of any element changed
+ */
+function measureVirtualRows (bindContext) {
+  let changed = false
+  for (const key in bindContext.boundElementByKey) {
+    const element = bindContext.boundElementByKey[key]
+    // elements that aren't in the document have no height
+    const height = element.nodeType === 1 ? element.getBoundingClientRect().height : 0
+    if (height > 0 && bindContext.heights.get(element.key) !== height) {
+      bindContext.heights.set(element.key, height)
+      changed = true
+    }
+  }
+  return changed
+}
+
+function scrollToKey (ctx, bindContext, key, align = 'nearest') {
+  if (bindContext.stale) {
+    renderVirtualRows(ctx, bindContext)
+  }
+  const { parent: container, layout } = bindContext
+  const index = layout.indexByKey.get(key)
+  if (index === undefined) {
+    throw new Error(`No item with the key ${key}`)
+  }
+  const top = layout.offsets[index]
+  const bottom = layout.offsets[index + 1]
+  const viewportHeight = container.clientHeight || window.innerHeight
+  let scrollTop = container.scrollTop
+  if (align === 'start' || (align === 'nearest' && top < scrollTop)) {
+    scrollTop = top
+  } else if (align === 'end' || (align === 'nearest' && bottom > scrollTop + viewportHeight)) {
+    scrollTop = bottom - viewportHeight
+  } else if (align === 'center') {
+    scrollTop = top - (viewportHeight - (bottom - top)) / 2
+  }
+  renderVirtualRows(ctx, bindContext, scrollTop)
+}
+
+let nextNavigationId = 0
+
+const navigationKeys = {
+  vertical: { ArrowDown: 1, ArrowUp: -1 },
+  horizontal: { ArrowRight: 1, ArrowLeft: -1 },
+  both: { ArrowDown: 1, ArrowUp: -1, ArrowRight: 1, ArrowLeft: -1 }
+}
+
+function doBindNavigation (ctx, parent, { orientation = 'vertical', focus = 'roving', wrap = false, typeahead = true, label } = {}) {
+  if (parent === undefined || parent === null || parent.nodeType !== 1) {
+    throw new Error('You must pass the parent returned by bindChildren to bindNavigation.')
+  }
+  if (navigationKeys[orientation] === undefined) {
+    throw new Error(`Unknown orientation ${orientation}, must be vertical, horizontal, or both`)
+  }
+  if (focus !== 'roving' && focus !== 'activedescendant') {
+    throw new Error(`Unknown focus ${focus}, must be roving or activedescendant`)
+  }
+  const navigation = { parent, focus, activeKey: ctx.selected, search: '', searchTimeout: null }
+  if (focus === 'activedescendant') {
+    parent.setAttribute('tabindex', '0')
+  }
+  if (ctx.selectionMode === 'multiple') {
+    parent.setAttribute('aria-multiselectable', 'true')
+  }
+  const selectedKeys = selectedKeysCtx(ctx)
+  subscribeWhileRetained(selectedKeys, selectedKeys.observers, parent, navigation, navigation => {
+    if (ctx.selected !== undefined) navigation.activeKey = ctx.selected
+    syncNavigation(ctx, navigation)
+  })
+  // the children are rendered by bindChildren, so they're updated once they're added
+  if (typeof MutationObserver !== 'undefined') {
+    navigation.observer = new MutationObserver(() => syncNavigation(ctx, navigation))
+  }
+
+  const moveTo = (index, e) => {
+    const keys = arrayKeys(ctx)
+    if (keys.length === 0) return
+    if (index < 0 || index >= keys.length) {
+      if (!wrap) return
+      index = (index + keys.length) % keys.length
+    }
+    const key = keys[index]
+    navigation.activeKey = key
+    if (ctx.selectionMode === 'multiple' && e.shiftKey) {
+      ctx.state.selectRange(key)
+    } else if (!(ctx.selectionMode === 'multiple' && (e.ctrlKey || e.metaKey))) {
+      doSelect(ctx, key)
+    }
+    ctx.state.scrollToKey(key)
+    syncNavigation(ctx, navigation)
+    if (focus === 'roving') {
+      // the parent is replaced by the server rendered element when it's hydrated
+      const element = navigationElement(navigation.parent, key)
+      if (element !== undefined) element.focus()
+    }
+  }
+
+  addListener(parent, 'keydown', e => {
+    const keys = arrayKeys(ctx)
+    const current = keys.indexOf(navigation.activeKey)
+    const step = navigationKeys[orientation][e.key]
+    if (step !== undefined) {
+      moveTo(current < 0 ? 0 : current + step, e)
+    } else if (e.key === 'Home') {
+      moveTo(0, e)
+    } else if (e.key === 'End') {
+      moveTo(keys.length - 1, e)
+    } else if (e.key === ' ' && ctx.selectionMode === 'multiple' && current >= 0) {
+      ctx.state.toggle(navigation.activeKey)
+    } else if (typeahead && e.key.length === 1 && !e.ctrlKey && !e.metaKey && !e.altKey && !(e.key === ' ' && navigation.search === '')) {
+      clearTimeout(navigation.searchTimeout)
+      navigation.searchTimeout = setTimeout(() => { navigation.search = '' }, 500)
+      navigation.search += e.key.toLowerCase()
+      // typing the same character again cycles through the elements that start with it
+      const search = navigation.search.split('').every(c => c === navigation.search[0]) ? navigation.search[0] : navigation.search
+      const start = navigation.search.length === 1 || search.length === 1 ? current + 1 : Math.max(current, 0)
+      for (let i = 0; i < keys.length; i++) {
+        const index = (start + i) % keys.length
+        if (navigationLabel(ctx, navigation.parent, keys[index], index, label).toLowerCase().startsWith(search)) {
+          // shift is used to type capital letters here, not to select a range
+          moveTo(index, {})
+          break
+        }
+      }
+    } else {
+      return
+    }
+    e.preventDefault()
+  })
+  syncNavigation(ctx, navigation)
+  return parent
+}
+
+// the bound children of the parent, leaving out spacers and elements that are being removed
+const navigationElements = parent => Array.from(parent.children).filter(child => child.key !== undefined && !child.leaving)
+
+const navigationElement = (parent, key) => navigationElements(parent).find(child => child.key === key)
+
+function navigationLabel (ctx, parent, key, index, label) {
+  if (typeof label === 'function') {
+    return String(label(unwrapState(ctx.currentValue[index])))
+  }
+  const element = navigationElement(parent, key)
+  return element !== undefined ? element.textContent.trim() : String(key)
+}
+
+/**
+ * Update the tabindex, aria-selected, and aria-activedescendant attributes to match the selection and the focused element
+ */
+function syncNavigation (ctx, navigation) {
+  if (navigation.observer !== undefined && navigation.observed !== navigation.parent) {
+    navigation.observer.disconnect()
+    navigation.observer.observe(navigation.parent, { childList: true })
+    navigation.observed = navigation.parent
+  }
+  const elements = navigationElements(navigation.parent)
+  const active = elements.find(element => element.key === navigation.activeKey) || (navigation.focus === 'roving' ? elements[0] : undefined)
+  for (const element of elements) {
+    element.setAttribute('aria-selected', String(ctx.selection.has(element.key)))
+    if (navigation.focus === 'roving') {
+      element.setAttribute('tabindex', element === active ? '0' : '-1')
+    } else if (element === active && !element.id) {
+      element.id = `fntags-option-${nextNavigationId++}`
+    }
+  }
+  if (navigation.focus === 'activedescendant') {
+    if (active !== undefined) {
+      navigation.parent.setAttribute('aria-activedescendant', active.id)
+    } else {
+      navigation.parent.removeAttribute('aria-activedescendant')
+    }
+  }
+}
+
 const evaluateElement = (element, value) => {
   if (element.isFnState) {
     return element()
@@ -617,12 +2626,7 @@ export const renderNode = (node) => {
     return element
   } else if (node && typeof node === 'object') {
     if (typeof node.then === 'function') {
-      let temp = h('div', { style: 'display:none', class: 'fntags-promise-marker' })
-      node.then(el => {
-        temp.replaceWith(renderNode(el))
-        temp = null
-      }).catch(e => console.error('Caught failed node promise.', e))
-      return temp
+      return renderPromise(node)
     } else {
       return node
     }
@@ -633,10 +2637,384 @@ export const renderNode = (node) => {
   }
 }
 
+/**
+ * Render a placeholder for a promise that's replaced with the resolved value, or with the error fallback if the promise fails or times out
+ */
+function renderPromise (promise) {
+  const { loading, error, timeout } = getAsyncOptions(promise)
+  let temp = loading === undefined || loading === null
+    ? h('div', { style: 'display:none', class: 'fntags-promise-marker' })
+    : h('div', { style: 'display:contents', class: 'fntags-promise-marker' }, loadingPlaceholder(loading))
+  let timer = null
+  let settled = promise
+  if (timeout > 0) {
+    const timedOut = new Promise((resolve, reject) => {
+      timer = setTimeout(() => reject(new Error(`Promise timed out after ${timeout}ms`)), timeout)
+    })
+    settled = Promise.race([promise, timedOut])
+  }
+  const replace = el => {
+    if (temp.__fnhydrate) {
+      const { target, path, onmismatch } = temp.__fnhydrate
+      if (isPromiseMarker(target)) {
+        target.replaceWith(renderNode(el))
+      } else {
+        hydrateNode(target, renderNode(el), path, onmismatch)
+      }
+    } else {
+      temp.replaceWith(renderNode(el))
+    }
+    temp = null
+  }
+  // keep the pending promise on the marker so it can be awaited, i.e. when rendering to a string
+  temp.__fnpromise = settled
+    .then(replace, e => {
+      if (typeof error === 'function') {
+        replace(error(e))
+      } else {
+        console.error('Caught failed node promise.', e)
+        temp.textContent = ''
+        temp.style.display = 'none'
+      }
+    })
+    .catch(e => console.error('Caught failed node promise.', e))
+    .finally(() => clearTimeout(timer))
+  return temp
+}
+
+const asyncDefaults = {}
+
+// a node can only be in one place, so placeholder nodes are copied for each promise
+const loadingPlaceholder = loading =>
+  typeof loading === 'function' ? loading() : loading && typeof loading.cloneNode === 'function' ? loading.cloneNode(true) : loading
+
+const getAsyncOptions = promise => {
+  const options = Object.assign({}, asyncDefaults)
+  for (const [option, value] of Object.entries(promise.asyncOptions || {})) {
+    if (value !== undefined) options[option] = value
+  }
+  return options
+}
+
+/**
+ * Set the loading placeholder, error fallback, and timeout used for all promises that are rendered as children.
+ * Options passed to fnasync take precedence over these.
+ * @param options See fnasync
+ */
+export const setAsyncDefaults = (options) => {
+  Object.assign(asyncDefaults, options)
+}
+
+/**
+ * Render a loading placeholder until the promise resolves, and an error fallback if the promise fails or doesn't settle in time.
+ * Without these options, a promise child is rendered as a hidden element until it resolves and nothing is rendered if it fails.
+ *
+ *  div(fnasync(fetchUser(), { loading: () => span('Loading...'), error: e => span(e.message), timeout: 5000 }))
+ *
+ * @param promise {Promise} A promise that resolves to the value to render
+ * @param [options.loading] The element to render while waiting, or a function that returns it. Elements are copied for each promise, without their listeners or bindings
+ * @param [options.error] {function(Error): Node} Render the error when the promise fails or times out
+ * @param [options.timeout] {number} The number of milliseconds to wait for the promise before rendering the error
+ * @returns {Promise} A promise that can be passed as a child of h
+ */
+export const fnasync = (promise, options = {}) => {
+  // create a new promise to avoid modifying the one that was passed
+  const wrapped = Promise.resolve(promise).then(value => value)
+  wrapped.asyncOptions = options
+  return wrapped
+}
+
+/**
+ * Animate the elements added, removed, and moved by bindChildren, or swapped by bindAs, using css classes.
+ *
+ * Pass the parent of bindChildren, or the element function of bindAs, bindPath, or bindSelect.
+ *
+ *  items.bindChildren(fntransition(ul(), 'fade'), item => li(item().name))
+ *  page.bindAs(fntransition(() => pages[page()](), { name: 'slide', duration: 300 }))
+ *
+ * Elements that are added get the classes {name}-enter-from and {name}-enter-active, and on the next frame {name}-enter-from is replaced with
+ * {name}-enter-to. Elements that are removed get the {name}-leave-from, {name}-leave-active, and {name}-leave-to classes the same way,
+ * and are removed from the document once the transition ends. The classes are removed once the css transitions or animations of the element end.
+ *
+ * Children of bindChildren that change position are animated from their previous position, with the {name}-move class while they move.
+ * Give the move class a transition on transform, i.e. .fade-move { transition: transform 300ms }, and take leaving elements out of the layout
+ * with position: absolute, so the other elements move into their place.
+ *
+ * @param target {Node|function} The bindChildren parent, or the element function of a binding
+ * @param [options] {string|object} The prefix of the class names, or the options
+ * @param [options.name] {string} The prefix of the class names. Defaults to fn
+ * @param [options.duration] {number} The number of milliseconds the transitions take. Defaults to the duration of the transitions or animations of the element
+ * @param [options.move] {boolean} Whether to animate children that change position. Defaults to true
+ * @returns {Node|function} The parent, or a new element function
+ */
+export const fntransition = (target, options = {}) => {
+  const transition = { name: 'fn', move: true, ...(typeof options === 'string' ? { name: options } : options) }
+  if (typeof target === 'function') {
+    // wrap the function to avoid modifying it
+    const element = (...args) => target(...args)
+    element.transition = transition
+    return element
+  }
+  if (target === null || target === undefined || target.nodeType === undefined) {
+    throw new Error('You must pass the parent of bindChildren or the element function of a binding to fntransition.')
+  }
+  target.transition = transition
+  return target
+}
+
+/**
+ * Listeners added using on* attributes are recorded so they can be added to server rendered elements during hydration
+ */
+const recordedListeners = new WeakMap()
+
+/**
+ * Add an event listener to an element, the listener is moved to the server rendered element when the element is hydrated
+ * @param element The element to listen to
+ * @param type {string} The type of event
+ * @param listener {function(Event)} The listener
+ */
+export function addListener (element, type, listener) {
+  element.addEventListener(type, listener)
+  let listeners = recordedListeners.get(element)
+  if (listeners === undefined) {
+    listeners = []
+    recordedListeners.set(element, listeners)
+  }
+  listeners.push([type, listener])
+}
+
+/**
+ * Adopt server rendered markup instead of replacing it.
+ *
+ * The root is rendered as usual, then matched node by node against the existing children of the container. Matching nodes
+ * are kept, and the event listeners, bindings, and properties of the client rendered nodes are moved to them.
+ *
+ * When a node does not match, the mismatch is reported with the path of the node and the server rendered node is replaced with
+ * the client rendered node.
+ *
+ * Only listeners added using on* attributes are moved. Functions that hold a direct reference to a client rendered element
+ * will continue to reference that element and not the adopted one.
+ *
+ * @param container {HTMLElement} The element containing the server rendered markup
+ * @param root The element to hydrate, or a function that returns it
+ * @param [onmismatch] {function(string, string)} Called with the path of the node and a description of each mismatch. Defaults to console.warn.
+ * @returns {Node} The hydrated root node
+ */
+export const hydrate = (container, root, onmismatch = defaultMismatchHandler) => {
+  if (!container || container.nodeType === undefined) {
+    throw new Error('You must pass the element containing the server rendered markup to hydrate.')
+  }
+  const rendered = renderNode(root)
+  let target = container.firstChild
+  // ignore formatting whitespace around the server rendered root
+  while (target && target.nodeType === 3 && !target.data.trim() && rendered.nodeType !== 3) {
+    target = target.nextSibling
+  }
+  const path = describeNode(rendered, 0)
+  if (!target) {
+    onmismatch(path, 'missing from the server markup')
+    container.append(rendered)
+    return rendered
+  }
+  return hydrateNode(target, rendered, path, onmismatch)
+}
+
+const defaultMismatchHandler = (path, reason) => console.warn(`Hydration mismatch at ${path}: ${reason}`)
+
+const describeNode = (node, i) => `${node.nodeType === 1 ? node.tagName.toLowerCase() : node.nodeName}[${i}]`
+
+const isPromiseMarker = node => node.nodeType === 1 && node.classList.contains('fntags-promise-marker')
+
+function findMismatch (server, client) {
+  if (server.nodeType !== client.nodeType) {
+    return `expected ${client.nodeName} but found ${server.nodeName}`
+  }
+  if (client.nodeType !== 1) {
+    return server.nodeValue === client.nodeValue ? null : `expected "${client.nodeValue}" but found "${server.nodeValue}"`
+  }
+  if (server.namespaceURI !== client.namespaceURI || server.tagName !== client.tagName) {
+    return `expected <${client.tagName.toLowerCase()}> but found <${server.tagName.toLowerCase()}>`
+  }
+  for (const name in booleanAttributes) {
+    if (name in client && !!client[name] !== !!server[name]) {
+      return `expected ${name} to be ${!!client[name]}`
+    }
+  }
+  const attrNames = new Set()
+  for (const el of [client, server]) {
+    for (const attr of el.attributes) {
+      if (!booleanAttributes[attr.localName]) attrNames.add(`${attr.namespaceURI || ''}|${attr.localName}`)
+    }
+  }
+  for (const attrName of attrNames) {
+    const [ns, name] = attrName.split('|')
+    const clientValue = name === 'style' && !ns ? client.style.cssText : client.getAttributeNS(ns || null, name)
+    const serverValue = name === 'style' && !ns ? server.style.cssText : server.getAttributeNS(ns || null, name)
+    if (clientValue !== serverValue) {
+      return `expected attribute ${name} to be "${clientValue}" but found "${serverValue}"`
+    }
+  }
+  return null
+}
+
+function hydrateNode (server, client, path, onmismatch) {
+  const mismatch = findMismatch(server, client)
+  if (mismatch) {
+    onmismatch(path, mismatch)
+    server.replaceWith(client)
+    return client
+  }
+  adoptNode(server, client)
+  hydrateChildren(server, client, path, onmismatch)
+  return server
+}
+
+/**
+ * Move the properties, listeners, and bindings of the client rendered node to the server rendered node
+ */
+function adoptNode (server, client) {
+  for (const prop of Object.keys(client)) {
+    server[prop] = client[prop]
+  }
+  const hooks = lifecycleHooks.get(client)
+  if (hooks !== undefined) {
+    for (const hook of hooks.onmount) addLifecycleHook(server, 'onmount', hook)
+    for (const hook of hooks.onunmount) addLifecycleHook(server, 'onunmount', hook)
+    // the server rendered element is already in the document
+    if (server.isConnected) queueMicrotask(() => updateMounted(server))
+  }
+  const listeners = recordedListeners.get(client)
+  if (listeners !== undefined) {
+    for (const [type, listener] of listeners) addListener(server, type, listener)
+  }
+  const holders = retainedHolders.get(client)
+  if (holders !== undefined) {
+    for (const holder of holders) {
+      if (holder.element === client) holder.element = server
+      if (holder.current === client) holder.current = server
+      if (holder.parent === client) holder.parent = server
+      retain(server, holder)
+    }
+  }
+  adoptedNodes.set(client, server)
+}
+
+const adoptedNodes = new WeakMap()
+
+function hydrateChildren (server, client, path, onmismatch) {
+  let serverChild = server.firstChild
+  Array.from(client.childNodes).forEach((clientChild, i) => {
+    const childPath = `${path} > ${describeNode(clientChild, i)}`
+    if (clientChild.nodeType === 3 && (serverChild === null || serverChild.nodeType === 3)) {
+      // empty text isn't rendered, and adjacent text nodes are merged when the markup is parsed
+      if (clientChild.data === '') {
+        const empty = document.createTextNode('')
+        server.insertBefore(empty, serverChild)
+        serverChild = empty
+      } else if (serverChild && serverChild.data.length > clientChild.data.length && serverChild.data.startsWith(clientChild.data)) {
+        serverChild.splitText(clientChild.data.length)
+      }
+    }
+    if (serverChild === null) {
+      onmismatch(childPath, 'missing from the server markup')
+      server.append(clientChild)
+      return
+    }
+    const next = serverChild.nextSibling
+    if (isPromiseMarker(clientChild) && clientChild.__fnpromise) {
+      // the server usually rendered the resolved value, hydrate it once the promise resolves on the client
+      clientChild.__fnhydrate = { target: serverChild, path: childPath, onmismatch }
+    } else {
+      hydrateNode(serverChild, clientChild, childPath, onmismatch)
+    }
+    serverChild = next
+  })
+  while (serverChild !== null) {
+    const next = serverChild.nextSibling
+    onmismatch(`${path} > ${describeNode(serverChild, Array.prototype.indexOf.call(server.childNodes, serverChild))}`, 'not rendered by the client')
+    serverChild.remove()
+    serverChild = next
+  }
+  for (const child of server.childNodes) {
+    // point the regions rendered by bound functions to the adopted end comment
+    if (child.regionEnd !== undefined) child.regionEnd = adoptedNodes.get(child.regionEnd) || child.regionEnd
+  }
+  for (const holder of retainedHolders.get(server) || []) {
+    if (holder.parent === server && holder.boundElementByKey !== undefined) {
+      for (const key in holder.boundElementByKey) {
+        holder.boundElementByKey[key] = adoptedNodes.get(holder.boundElementByKey[key]) || holder.boundElementByKey[key]
+      }
+      if (holder.virtual) {
+        // rows are placed between the spacers, and the rows to render depend on the size of the server rendered container
+        holder.before = adoptedNodes.get(holder.before) || holder.before
+        holder.after = adoptedNodes.get(holder.after) || holder.after
+        if (holder.resizeObserver !== undefined) {
+          holder.resizeObserver.disconnect()
+          holder.resizeObserver.observe(server)
+        }
+      }
+    }
+  }
+}
+
+/**
+ * The onmount and onunmount hooks of elements, along with whether the element is currently in the document
+ */
+const lifecycleHooks = new WeakMap()
+let lifecycleObserver = null
+
+/**
+ * Register a function to call with the element when it's added to (onmount) or removed from (onunmount) the document.
+ *
+ * Changes are detected using a MutationObserver, so hooks are called shortly after the change, not synchronously.
+ * Elements that are moved, or removed and added back before the hooks are called, don't trigger either hook.
+ */
+function addLifecycleHook (element, hookName, hook) {
+  if (typeof MutationObserver === 'undefined') {
+    // there is no document to mount to, i.e. when rendering on the server
+    return
+  }
+  let hooks = lifecycleHooks.get(element)
+  if (hooks === undefined) {
+    hooks = { onmount: [], onunmount: [], mounted: element.isConnected }
+    lifecycleHooks.set(element, hooks)
+  }
+  hooks[hookName].push(hook)
+  if (lifecycleObserver === null) {
+    lifecycleObserver = new MutationObserver(records => {
+      for (const record of records) {
+        for (const node of record.addedNodes) walkLifecycle(node)
+        for (const node of record.removedNodes) walkLifecycle(node)
+      }
+    })
+    lifecycleObserver.observe(document, { childList: true, subtree: true })
+  }
+}
+
+function walkLifecycle (node) {
+  if (node.nodeType !== 1) return
+  updateMounted(node)
+  const walker = document.createTreeWalker(node, 1)
+  while (walker.nextNode()) updateMounted(walker.currentNode)
+}
+
+function updateMounted (element) {
+  const hooks = lifecycleHooks.get(element)
+  if (hooks === undefined || hooks.mounted === element.isConnected) return
+  hooks.mounted = element.isConnected
+  for (const hook of hooks.mounted ? hooks.onmount : hooks.onunmount) {
+    try {
+      hook(element)
+    } catch (e) {
+      console.error(`Failed to run ${hooks.mounted ? 'onmount' : 'onunmount'} hook`, e)
+    }
+  }
+}
+
 /**
  * All of these attributes must be set to an actual boolean to function correctly
  */
-const booleanAttributes = {
+export const booleanAttributes = {
   allowfullscreen: true,
   allowpaymentrequest: true,
   async: true,
@@ -666,14 +3044,20 @@ const booleanAttributes = {
 
 const setAttribute = function (attrName, attr, element) {
   if (typeof attr === 'function') {
-    if (attr.isBoundAttribute) {
+    if (attr.isBoundValue) {
+      attr.init(element)
+      return
+    } else if (attr.isBoundAttribute) {
       attr.init(attrName, element)
       attr = attr()
     } else if (attr.isTemplatePlaceholder) {
       attr(element, 'attr', attrName)
       return
+    } else if (attrName === 'onmount' || attrName === 'onunmount') {
+      addLifecycleHook(element, attrName, attr)
+      return
     } else if (attrName.startsWith('on')) {
-      element.addEventListener(attrName.substring(2), attr)
+      addListener(element, attrName.substring(2), attr)
       return
     } else {
       attr = attr()
@@ -690,8 +3074,17 @@ const setAttribute = function (attrName, attr, element) {
     element.setAttribute('value', attr)
     // html5 nodes like range don't update unless the value property on the object is set
     element.value = attr
+    if (element.type === 'checkbox' || element.type === 'radio') {
+      // keep the type of the value, so checkboxes bound to an array add numbers as numbers
+      element.__fnvalue = attr
+    }
   } else if (booleanAttributes[attrName]) {
+    const isProperty = attrName in element
     element[attrName] = !!attr
+    if (!isProperty) {
+      // the property name is camel case, i.e. readOnly
+      element.toggleAttribute(attrName, !!attr)
+    }
   } else {
     let ns = null
     const nsIndex = hasNs(attrName)
@@ -0,0 +1,137 @@
+import { h, renderNode } from './fntags.mjs'
+
+/**
+ * The automatic jsx runtime, configure your compiler to use it by setting the import source to @srfnstack/fntags
+ *
+ *  esbuild: --jsx=automatic --jsx-import-source=@srfnstack/fntags
+ *  babel: ["@babel/plugin-transform-react-jsx", { "runtime": "automatic", "importSource": "@srfnstack/fntags" }]
+ *
+ * Elements are created using h, so props are the attributes of the element and the children can be anything h accepts, including bound states.
+ * React style props are supported too, className and htmlFor are set as class and for, and camel case event handlers like onClick are added as listeners.
+ * Other camel case props are set as the lower case html attribute, i.e. tabIndex and readOnly, or the kebab case svg attribute, i.e. strokeWidth.
+ * Function components receive the props, including the children, and return the element to render.
+ *
+ * Svg elements are created in the svg namespace, except for a, script, style, and title, which are html elements unless written with the svg
+ * namespace, i.e. <svg:a>.
+ */
+
+/**
+ * Create an element from jsx
+ * @param type {string|function} The tag of the element, or a function component
+ * @param props {object} The props of the element, including the children
+ * @returns {Node}
+ */
+export const jsx = (type, props) => {
+  props = props || {}
+  if (typeof type === 'function') {
+    return type(props)
+  }
+  const tag = tagName(type)
+  const svg = tag.startsWith(`${svgNs}:`)
+  const attrs = {}
+  for (const prop in props) {
+    if (prop !== 'children') {
+      attrs[attributeName(prop, svg)] = props[prop]
+    }
+  }
+  return h(tag, attrs, ...flattenChildren(props.children))
+}
+
+/**
+ * Create an element with static children from jsx, the same as jsx
+ */
+export const jsxs = jsx
+
+/**
+ * Create an element from jsx in development mode, the extra debugging information is ignored
+ */
+export const jsxDEV = (type, props) => jsx(type, props)
+
+/**
+ * Render the children without a wrapping element
+ * @param props {object} The props of the fragment
+ * @returns {DocumentFragment}
+ */
+export const Fragment = (props) => {
+  const fragment = document.createDocumentFragment()
+  for (const child of flattenChildren(props && props.children)) {
+    fragment.append(renderNode(child))
+  }
+  return fragment
+}
+
+const svgNs = 'http://www.w3.org/2000/svg'
+
+const namespaces = {
+  svg: svgNs,
+  xlink: 'http://www.w3.org/1999/xlink',
+  xml: 'http://www.w3.org/XML/1998/namespace'
+}
+
+// the tags that are also html elements are left out
+const svgTags = new Set([
+  'circle', 'clipPath', 'defs', 'desc', 'ellipse', 'feBlend', 'feColorMatrix', 'feComponentTransfer', 'feComposite', 'feConvolveMatrix',
+  'feDiffuseLighting', 'feDisplacementMap', 'feDistantLight', 'feFlood', 'feFuncA', 'feFuncB', 'feFuncG', 'feFuncR', 'feGaussianBlur', 'feImage',
+  'feMerge', 'feMergeNode', 'feMorphology', 'feOffset', 'fePointLight', 'feSpecularLighting', 'feSpotLight', 'feTile', 'feTurbulence', 'filter',
+  'foreignObject', 'g', 'image', 'line', 'linearGradient', 'marker', 'mask', 'metadata', 'path', 'pattern', 'polygon', 'polyline', 'radialGradient',
+  'rect', 'stop', 'svg', 'switch', 'symbol', 'text', 'textPath', 'tspan', 'use', 'view'
+])
+
+// event names that aren't the lower case prop name
+const eventNames = { onDoubleClick: 'ondblclick' }
+
+// html attributes that aren't the lower case prop name
+const htmlAttributes = { acceptCharset: 'accept-charset', httpEquiv: 'http-equiv' }
+
+// svg presentation attributes are kebab case, the rest of the svg attributes are camel case like the props, i.e. viewBox
+const svgAttributes = new Set([
+  'alignmentBaseline', 'baselineShift', 'clipPath', 'clipRule', 'colorInterpolation', 'colorInterpolationFilters', 'dominantBaseline', 'fillOpacity',
+  'fillRule', 'floodColor', 'floodOpacity', 'fontFamily', 'fontSize', 'fontSizeAdjust', 'fontStretch', 'fontStyle', 'fontVariant', 'fontWeight',
+  'imageRendering', 'letterSpacing', 'lightingColor', 'markerEnd', 'markerMid', 'markerStart', 'paintOrder', 'pointerEvents', 'shapeRendering',
+  'stopColor', 'stopOpacity', 'strokeDasharray', 'strokeDashoffset', 'strokeLinecap', 'strokeLinejoin', 'strokeMiterlimit', 'strokeOpacity',
+  'strokeWidth', 'textAnchor', 'textDecoration', 'textRendering', 'transformOrigin', 'unicodeBidi', 'vectorEffect', 'wordSpacing', 'writingMode'
+])
+
+function tagName (type) {
+  const i = type.indexOf(':')
+  if (i > 0 && namespaces[type.slice(0, i)]) {
+    return `${namespaces[type.slice(0, i)]}:${type.slice(i + 1)}`
+  }
+  return svgTags.has(type) ? `${svgNs}:${type}` : type
+}
+
+function attributeName (prop, svg) {
+  if (prop === 'className') {
+    return 'class'
+  } else if (prop === 'htmlFor') {
+    return 'for'
+  } else if (eventNames[prop]) {
+    return eventNames[prop]
+  } else if (/^on[A-Z]/.test(prop)) {
+    return prop.toLowerCase()
+  } else if (/^xlink[A-Z]/.test(prop)) {
+    return `${namespaces.xlink}:${prop.slice(5).toLowerCase()}`
+  }
+  const i = prop.indexOf(':')
+  if (i > 0 && namespaces[prop.slice(0, i)]) {
+    return `${namespaces[prop.slice(0, i)]}:${prop.slice(i + 1)}`
+  } else if (prop.includes('-')) {
+    // data- and aria- attributes are already attribute names
+    return prop
+  } else if (svg) {
+    return svgAttributes.has(prop) ? prop.replace(/[A-Z]/g, c => `-${c.toLowerCase()}`) : prop
+  }
+  return htmlAttributes[prop] || prop.toLowerCase()
+}
+
+/**
+ * Flatten nested arrays of children and remove the values jsx doesn't render, null, undefined, and booleans
+ */
+function flattenChildren (children, flat = []) {
+  if (Array.isArray(children)) {
+    for (const child of children) flattenChildren(child, flat)
+  } else if (children !== null && children !== undefined && typeof children !== 'boolean') {
+    flat.push(children)
+  }
+  return flat
+}
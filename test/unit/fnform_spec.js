@@ -0,0 +1,124 @@
+import { fnform } from '../../docs/lib/fnform.mjs'
+import { h, hydrate } from '../../docs/lib/fntags.mjs'
+
+describe('fnform', () => {
+  const signupForm = () => fnform({
+    values: { email: '', age: 18 },
+    validators: {
+      email: [
+        v => !v && 'required',
+        v => Promise.resolve(v === 'taken@example.com' && 'taken')
+      ],
+      age: v => v < 18 && 'too young'
+    }
+  })
+
+  it('should create a state for the value of each field', () => {
+    const form = signupForm()
+    expect(form.fields.email.value()).eq('')
+    form.fields.age.value(21)
+    expect(form.values()).to.deep.equal({ email: '', age: 21 })
+  })
+  it('should track whether a field is dirty', () => {
+    const form = signupForm()
+    expect(form.fields.age.dirty()).eq(false)
+    form.fields.age.value(21)
+    expect(form.fields.age.dirty()).eq(true)
+    form.fields.age.value(18)
+    expect(form.fields.age.dirty()).eq(false)
+  })
+  it('should run sync validators when the value changes', () => {
+    const form = signupForm()
+    expect(form.fields.age.error()).eq(null)
+    form.fields.age.value(10)
+    expect(form.fields.age.error()).eq('too young')
+    expect(form.isValid()).eq(false)
+  })
+  it('should run async validators and ignore stale results', async () => {
+    let resolveFirst
+    const form = fnform({
+      values: { name: 'a' },
+      validators: {
+        name: v => v === 'slow' ? new Promise(resolve => { resolveFirst = resolve }) : null
+      }
+    })
+    form.fields.name.value('slow')
+    expect(form.isValidating()).eq(true)
+    expect(form.isValid()).eq(false)
+    form.fields.name.value('fast')
+    resolveFirst('stale error')
+    await form.validate()
+    expect(form.fields.name.error()).eq(null)
+    expect(form.isValid()).eq(true)
+  })
+  it('should not call the submit handler when the form is invalid', async () => {
+    const form = signupForm()
+    let submitted = false
+    const result = await form.submit(() => { submitted = true })()
+    expect(result).eq(false)
+    expect(submitted).eq(false)
+    expect(form.fields.email.touched()).eq(true)
+    expect(form.fields.email.error()).eq('required')
+  })
+  it('should track the submission state', async () => {
+    const form = signupForm()
+    form.fields.email.value('jerry@example.com')
+    let finish
+    const submitting = form.submit(() => new Promise(resolve => { finish = resolve }))()
+    await new Promise(resolve => setTimeout(resolve))
+    expect(form.isSubmitting()).eq(true)
+    finish()
+    expect(await submitting).eq(true)
+    expect(form.isSubmitting()).eq(false)
+  })
+  it('should set the submit error when the handler fails', async () => {
+    const form = signupForm()
+    form.fields.email.value('jerry@example.com')
+    const result = await form.submit(() => Promise.reject(new Error('offline')))()
+    expect(result).eq(false)
+    expect(form.submitError().message).eq('offline')
+  })
+  it('should reset the fields to their initial values', () => {
+    const form = signupForm()
+    form.fields.age.value(10)
+    form.fields.age.touched(true)
+    form.reset()
+    expect(form.fields.age.value()).eq(18)
+    expect(form.fields.age.touched()).eq(false)
+    expect(form.fields.age.error()).eq(null)
+  })
+
+  it('should use the message of errors thrown by sync validators', async () => {
+    const form = fnform({
+      values: { name: '' },
+      validators: { name: v => { if (!v) throw new Error('required') } }
+    })
+    expect(form.fields.name.error()).eq('required')
+    expect(await form.validate()).eq(false)
+  })
+  it('should ignore submitting again while the form is validating', async () => {
+    let finish
+    const form = fnform({
+      values: { name: 'a' },
+      validators: { name: () => new Promise(resolve => { finish = resolve }) }
+    })
+    let submits = 0
+    const submit = form.submit(() => { submits++ })
+    const first = submit()
+    expect(form.isSubmitting()).eq(true)
+    expect(await submit()).eq(false)
+    finish(null)
+    expect(await first).eq(true)
+    expect(submits).eq(1)
+    expect(form.isSubmitting()).eq(false)
+  })
+  it('should mark hydrated fields as touched when they lose focus', () => {
+    const form = fnform({ values: { name: 'a' } })
+    const container = document.createElement('div')
+    container.innerHTML = '<input>'
+    const server = container.firstChild
+    hydrate(container, h('input', { value: form.fields.name.bindValue() }))
+    server.dispatchEvent(new Event('blur'))
+    expect(form.fields.name.touched()).eq(true)
+  })
+})
@@ -0,0 +1,73 @@
+import { html } from '../../docs/lib/fnhtml.mjs'
+import { fnstate, h } from '../../docs/lib/fntags.mjs'
+
+describe('fnhtml', () => {
+  it('should create the same elements as h', () => {
+    const el = html`<div id="jerry" class='taco'>hi <b>there</b></div>`
+    expect(el.outerHTML).eq(h('div', { id: 'jerry', class: 'taco' }, 'hi ', h('b', 'there')).outerHTML)
+  })
+  it('should ignore whitespace used to format the markup', () => {
+    const el = html`
+      <ul>
+        <li>one</li>
+        <li>two words</li>
+      </ul>
+    `
+    expect(el.outerHTML).eq('<ul><li>one</li><li>two words</li></ul>')
+  })
+  it('should set interpolated attributes, event handlers, and styles', () => {
+    let clicked = false
+    const el = html`<button class="btn ${'primary'}" title=${'save'} onclick=${() => { clicked = true }} style=${{ color: 'red' }}>Save</button>`
+    el.click()
+    expect(clicked).eq(true)
+    expect(el.className).eq('btn primary')
+    expect(el.title).eq('save')
+    expect(el.style.color).eq('red')
+  })
+  it('should set attributes without values', () => {
+    const el = html`<input disabled data-empty>`
+    expect(el.disabled).eq(true)
+    expect(el.getAttribute('data-empty')).eq('')
+  })
+  it('should render interpolated children, arrays, and promises', async () => {
+    const el = html`<ul>${[1, 2].map(i => html`<li>${i}</li>`)}${Promise.resolve(html`<li>3</li>`)}</ul>`
+    await new Promise(resolve => setTimeout(resolve))
+    expect(el.outerHTML).eq('<ul><li>1</li><li>2</li><li>3</li></ul>')
+  })
+  it('should keep bound states working', async () => {
+    const name = fnstate('jerry')
+    const color = fnstate('red')
+    const el = html`<div class=${name.bindAttr()} style=${{ color: color.bindStyle() }}>${name.bindAs(() => h('b', name()))}</div>`
+    name('bob')
+    color('blue')
+    await Promise.resolve()
+    expect(el.outerHTML).eq('<div class="bob" style="color: blue;"><b>bob</b></div>')
+  })
+  it('should call functions used as tags with the attributes and children', () => {
+    const card = (attrs, ...children) => h('section', { class: `card ${attrs.kind}` }, ...children)
+    const el = html`<div><${card} ...${{ kind: 'wide' }}><p>hi</p><//></div>`
+    expect(el.innerHTML).eq('<section class="card wide"><p>hi</p></section>')
+  })
+  it('should create elements inside of svg in the svg namespace', () => {
+    const el = html`<svg viewBox="0 0 10 10"><use xlink:href="#icon"/><circle r=${5}></circle></svg>`
+    expect(el.namespaceURI).eq('http://www.w3.org/2000/svg')
+    expect(el.lastChild.namespaceURI).eq('http://www.w3.org/2000/svg')
+    expect(el.firstChild.getAttributeNS('http://www.w3.org/1999/xlink', 'href')).eq('#icon')
+  })
+  it('should decode entities and skip comments', () => {
+    const el = html`<p><!-- ${'ignored'} -->a &amp; b &lt;3 ${'c'}</p>`
+    expect(el.textContent).eq('a & b <3 c')
+  })
+  it('should return an array when there is more than one root', () => {
+    const nodes = html`<b>a</b><i>b</i>`
+    expect(nodes.map(n => n.tagName)).to.deep.equal(['B', 'I'])
+  })
+  it('should parse each call site once', () => {
+    const render = value => html`<span>${value}</span>`
+    expect(render('a').textContent).eq('a')
+    expect(render('b').textContent).eq('b')
+  })
+  it('should throw for mismatched closing tags', () => {
+    expect(() => html`<div><span></div>`).to.throw('Expected the closing tag of <span> but found </div>')
+  })
+})
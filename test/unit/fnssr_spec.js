@@ -0,0 +1,99 @@
+import { createServerDocument, renderToString, toHtml } from '../../docs/lib/fnssr.mjs'
+import { fnstate, h } from '../../docs/lib/fntags.mjs'
+
+describe('fnssr', () => {
+  describe('renderToString', () => {
+    it('should render elements with their attributes and children', async () => {
+      const html = await renderToString(h('div', { id: 'jerry', class: 'taco' }, 'hi ', h('b', 'there')))
+      expect(html).eq('<div id="jerry" class="taco">hi <b>there</b></div>')
+    })
+    it('should render bound attributes and styles with the current value', async () => {
+      const color = fnstate('blue')
+      const html = await renderToString(() => h('div', { class: color.bindAttr(), style: { color: color.bindStyle() } }, color.bindAs()))
+      expect(html).eq('<div class="blue" style="color: blue;">blue</div>')
+    })
+    it('should wait for promise children to resolve', async () => {
+      const html = await renderToString(h('div', Promise.resolve(h('span', Promise.resolve('later')))))
+      expect(html).eq('<div><span>later</span></div>')
+    })
+    it('should render the regions of bound functions that return many nodes', async () => {
+      const items = fnstate(['a', 'b'])
+      const html = await renderToString(() => h('ul', items.bindAs(() => items().map(i => h('li', i)))))
+      expect(html).eq('<ul><!--fntags-region--><li>a</li><li>b</li><!--/fntags-region--></ul>')
+    })
+    it('should render a promise passed as the root', async () => {
+      const html = await renderToString(Promise.resolve(h('p', 'hi')))
+      expect(html).eq('<p>hi</p>')
+    })
+  })
+
+  describe('docs pages', () => {
+    // the pages are created when they're imported, and highlight their code with Prism
+    const pages = {
+      home: () => import('../../docs/home.js'),
+      components: () => import('../../docs/components.js'),
+      state: () => import('../../docs/state.js'),
+      routing: () => import('../../docs/routing.js')
+    }
+    const headings = {
+      home: 'Example',
+      components: 'Html Templates',
+      state: 'Binding Attributes',
+      routing: 'Static Pattern Routing: Route Elements'
+    }
+    let prism
+    beforeEach(() => {
+      prism = globalThis.Prism
+      globalThis.Prism = { highlightElement () {} }
+    })
+    afterEach(() => {
+      globalThis.Prism = prism
+    })
+    for (const name in pages) {
+      it(`should render the ${name} page`, async () => {
+        const { default: page } = await pages[name]()
+        const html = await renderToString(page)
+        expect(html).to.include(`<h3 id="${headings[name]}">${headings[name]}`)
+      })
+    }
+  })
+
+  describe('server document', () => {
+    const doc = createServerDocument()
+    it('should escape text and attributes', () => {
+      const el = doc.createElement('div')
+      el.setAttribute('title', '"quoted" & stuff')
+      el.append('<b> & </b>')
+      expect(toHtml(el)).eq('<div title="&quot;quoted&quot; &amp; stuff">&lt;b&gt; &amp; &lt;/b&gt;</div>')
+    })
+    it('should render void elements without a closing tag', () => {
+      const el = doc.createElement('input')
+      el.setAttribute('value', 'taco')
+      expect(toHtml(el)).eq('<input value="taco">')
+    })
+    it('should reflect boolean properties as attributes', () => {
+      const el = doc.createElement('input')
+      el.disabled = true
+      el.checked = false
+      expect(toHtml(el)).eq('<input disabled>')
+    })
+    it('should render style properties in kebab case', () => {
+      const el = doc.createElement('div')
+      el.style.fontSize = '12px'
+      el.style['background-color'] = 'red'
+      expect(toHtml(el)).eq('<div style="font-size: 12px; background-color: red;"></div>')
+    })
+    it('should add the namespace to foreign elements and prefix namespaced attributes', () => {
+      const svg = doc.createElementNS('http://www.w3.org/2000/svg', 'svg')
+      const use = doc.createElementNS('http://www.w3.org/2000/svg', 'use')
+      use.setAttributeNS('http://www.w3.org/1999/xlink', 'href', '#icon')
+      svg.append(use)
+      expect(toHtml(svg)).eq('<svg xmlns="http://www.w3.org/2000/svg"><use xlink:href="#icon"></use></svg>')
+    })
+    it('should not escape the content of script and style elements', () => {
+      const style = doc.createElement('style')
+      style.append('a > b { color: red }')
+      expect(toHtml(style)).eq('<style>a > b { color: red }</style>')
+    })
+  })
+})
@@ -229,4 +229,1507 @@ describe('fntags', () => {
       expect(s.style.color).eq('purple')
     })
   })
+
+  describe('fncomputed', () => {
+    it('should compute the value from the source states', () => {
+      const a = fntags.fnstate(1)
+      const b = fntags.fnstate(2)
+      const sum = fntags.fncomputed([a, b], (a, b) => a + b)
+      expect(sum()).eq(3)
+    })
+    it('should recompute only when a source state changes', () => {
+      const a = fntags.fnstate(1)
+      let computeCount = 0
+      const double = fntags.fncomputed([a], a => {
+        computeCount++
+        return a * 2
+      })
+      double()
+      double()
+      expect(computeCount).eq(1)
+      a(5)
+      expect(double()).eq(10)
+      expect(computeCount).eq(2)
+    })
+    it('should notify subscribers when the computed value changes', () => {
+      const a = fntags.fnstate('a')
+      const upper = fntags.fncomputed([a], a => a.toUpperCase())
+      let notified
+      upper.subscribe((newValue) => { notified = newValue })
+      a('b')
+      expect(notified).eq('B')
+    })
+    it('should throw when trying to set the value', () => {
+      const a = fntags.fnstate({ name: 'jerry' })
+      const copy = fntags.fncomputed([a], a => ({ ...a }))
+      expect(() => copy({})).to.throw()
+      expect(() => copy.assign({ name: 'greg' })).to.throw()
+      expect(() => copy.setPath('name', 'greg')).to.throw()
+      expect(copy().name).eq('jerry')
+    })
+    it('should stop updating once disposed', () => {
+      const a = fntags.fnstate(1)
+      const copy = fntags.fncomputed([a], a => a)
+      copy.dispose()
+      a(2)
+      expect(copy()).eq(1)
+    })
+  })
+
+  describe('batch', () => {
+    it('should notify observers once with the final value', () => {
+      const count = fntags.fnstate(0)
+      const notifications = []
+      count.subscribe((newValue, oldValue) => notifications.push([newValue, oldValue]))
+      fntags.batch(() => {
+        count(1)
+        count(2)
+        count(3)
+      })
+      expect(notifications).to.deep.equal([[3, 0]])
+    })
+    it('should defer notifications until the outermost batch completes', () => {
+      const name = fntags.fnstate({ first: 'jerry', last: 'smith' })
+      let notified = 0
+      name.subscribe(() => notified++)
+      fntags.batch(() => {
+        name.setPath('first', 'greg')
+        fntags.batch(() => name.setPath('last', 'jones'))
+        expect(notified).eq(0)
+      })
+      expect(notified).eq(1)
+      expect(name()).to.deep.equal({ first: 'greg', last: 'jones' })
+    })
+    it('should recompute computed states once per batch', () => {
+      const a = fntags.fnstate(1)
+      const b = fntags.fnstate(2)
+      const sum = fntags.fncomputed([a, b], (a, b) => a + b)
+      const sums = []
+      sum.subscribe(newValue => sums.push(newValue))
+      fntags.batch(() => {
+        a(10)
+        b(20)
+      })
+      expect(sums).to.deep.equal([30])
+    })
+    it('should return the value of the function', () => {
+      expect(fntags.batch(() => 'taco')).eq('taco')
+    })
+    it('should still notify observers when the function throws', () => {
+      const count = fntags.fnstate(0)
+      let notified = false
+      count.subscribe(() => { notified = true })
+      expect(() => fntags.batch(() => {
+        count(1)
+        throw new Error('nope')
+      })).to.throw('nope')
+      expect(notified).eq(true)
+    })
+    it('should notify the other states when an observer throws', () => {
+      const a = fntags.fnstate(0)
+      const b = fntags.fnstate(0)
+      a.subscribe(() => { throw new Error('nope') })
+      let seen
+      b.subscribe(value => { seen = value })
+      expect(() => fntags.batch(() => {
+        a(1)
+        b(1)
+      })).to.throw('nope')
+      expect(seen).eq(1)
+      b(2)
+      expect(seen).eq(2)
+    })
+  })
+
+  describe('observerCount', () => {
+    it('should count subscriptions and bindings', () => {
+      const name = fntags.fnstate('jerry')
+      const unsubscribe = name.subscribe(() => {})
+      const el = fntags.h('div', { title: name.bindAttr() }, name.bindAs())
+      expect(name.observerCount()).eq(3)
+      unsubscribe()
+      expect(name.observerCount()).eq(2)
+      expect(el.title).eq('jerry')
+    })
+    it('should keep bindings of detached elements that are still referenced', async () => {
+      const name = fntags.fnstate('jerry')
+      const el = fntags.h('div', name.bindAs())
+      document.body.append(el)
+      el.remove()
+      name('greg')
+      await Promise.resolve()
+      expect(el.textContent).eq('greg')
+      expect(name.observerCount()).eq(1)
+    })
+    it('should count select bindings', () => {
+      const items = fntags.fnstate([1, 2], v => v)
+      items.bindChildren(fntags.h('div'), item => fntags.h('div', { class: item.bindSelectAttr(() => items.selected() === item() ? 'selected' : '') }))
+      expect(items.observerCount()).eq(3)
+    })
+  })
+
+  describe('hydrate', () => {
+    const serverRender = (html) => {
+      const container = document.createElement('div')
+      container.innerHTML = html
+      return container
+    }
+    it('should adopt the server rendered elements', () => {
+      const container = serverRender('<div id="app"><span>hi</span></div>')
+      const serverEl = container.firstChild
+      const el = fntags.hydrate(container, () => fntags.h('div', { id: 'app' }, fntags.h('span', 'hi')))
+      expect(el).eq(serverEl)
+    })
+    it('should attach event listeners to the adopted elements', () => {
+      const container = serverRender('<button>click</button>')
+      let clicked = false
+      fntags.hydrate(container, fntags.h('button', { onclick: () => { clicked = true } }, 'click'))
+      container.firstChild.click()
+      expect(clicked).eq(true)
+    })
+    it('should bind state to the adopted elements', async () => {
+      const container = serverRender('<div class="jerry">jerry</div>')
+      const name = fntags.fnstate('jerry')
+      const serverEl = container.firstChild
+      fntags.hydrate(container, fntags.h('div', { class: name.bindAttr() }, name.bindAs()))
+      name('greg')
+      await Promise.resolve()
+      expect(container.firstChild).eq(serverEl)
+      expect(serverEl.className).eq('greg')
+      expect(serverEl.textContent).eq('greg')
+    })
+    it('should bind children to the adopted elements', () => {
+      const container = serverRender('<ul><li>1</li><li>2</li></ul>')
+      const items = fntags.fnstate([1, 2], v => v)
+      const first = container.firstChild.firstChild
+      fntags.hydrate(container, items.bindChildren(fntags.h('ul'), item => fntags.h('li', item())))
+      items([2, 1, 3])
+      expect(container.firstChild.textContent).eq('213')
+      expect(container.firstChild.children[1]).eq(first)
+    })
+    it('should report mismatches with the path and replace the subtree', () => {
+      const container = serverRender('<div><p>old</p></div>')
+      const mismatches = []
+      fntags.hydrate(container, fntags.h('div', fntags.h('span', 'new')), (path, reason) => mismatches.push(path))
+      expect(mismatches).to.deep.equal(['div[0] > span[0]'])
+      expect(container.innerHTML).eq('<div><span>new</span></div>')
+    })
+  })
+
+  describe('lifecycle hooks', () => {
+    const tick = () => new Promise(resolve => setTimeout(resolve))
+    it('should call onmount when the element is added to the document', async () => {
+      let mounted
+      const el = fntags.h('input', { onmount: e => { mounted = e } })
+      await tick()
+      expect(mounted).eq(undefined)
+      document.body.append(el)
+      await tick()
+      expect(mounted).eq(el)
+      el.remove()
+    })
+    it('should call onunmount when the element is removed from the document', async () => {
+      let unmounted = 0
+      const el = fntags.h('div', fntags.h('span', { onunmount: () => unmounted++ }))
+      document.body.append(el)
+      await tick()
+      el.remove()
+      await tick()
+      expect(unmounted).eq(1)
+    })
+    it('should call the hooks for elements swapped by bindAs', async () => {
+      const events = []
+      const name = fntags.fnstate('jerry')
+      const el = fntags.h('div', name.bindAs(() => fntags.h('span', {
+        onmount: () => events.push(`mount ${name()}`),
+        onunmount: e => events.push(`unmount ${e.textContent}`)
+      }, name())))
+      document.body.append(el)
+      await tick()
+      name('greg')
+      await tick()
+      expect(events).to.deep.equal(['mount jerry', 'mount greg', 'unmount jerry'])
+      el.remove()
+    })
+    it('should call the hooks for items added and removed by bindChildren, but not for moved items', async () => {
+      const events = []
+      const items = fntags.fnstate([1, 2], v => v)
+      const el = items.bindChildren(fntags.h('ul'), item => fntags.h('li', {
+        onmount: () => events.push(`+${item()}`),
+        onunmount: () => events.push(`-${item()}`)
+      }, item()))
+      document.body.append(el)
+      await tick()
+      items([3, 2])
+      await tick()
+      items([2, 3])
+      await tick()
+      expect(events).to.deep.equal(['+1', '+2', '+3', '-1'])
+      el.remove()
+    })
+  })
+
+  describe('bindValue', () => {
+    const fire = (el, type) => el.dispatchEvent(new Event(type))
+    it('should update the input when the state changes and the state when the input changes', () => {
+      const name = fntags.fnstate('jerry')
+      const el = fntags.h('input', { value: name.bindValue() })
+      expect(el.value).eq('jerry')
+      name('greg')
+      expect(el.value).eq('greg')
+      el.value = 'jim'
+      fire(el, 'input')
+      expect(name()).eq('jim')
+    })
+    it('should not write the value back to the input that changed it', () => {
+      const name = fntags.fnstate('jerry')
+      const el = fntags.h('input', { value: name.bindValue() })
+      let writes = 0
+      const valueProp = Object.getOwnPropertyDescriptor(HTMLInputElement.prototype, 'value')
+      Object.defineProperty(el, 'value', {
+        get: () => valueProp.get.call(el),
+        set: v => {
+          writes++
+          valueProp.set.call(el, v)
+        }
+      })
+      el.value = 'greg'
+      fire(el, 'input')
+      expect(name()).eq('greg')
+      expect(writes).eq(1)
+    })
+    it('should convert number and range values to numbers', () => {
+      const volume = fntags.fnstate(5)
+      const el = fntags.h('input', { type: 'range', min: 0, max: 200, value: volume.bindValue() })
+      el.value = '150'
+      fire(el, 'input')
+      expect(volume()).eq(150)
+    })
+    it('should bind checkboxes to a boolean or the values of an array', () => {
+      const done = fntags.fnstate(false)
+      const toppings = fntags.fnstate(['cheese'])
+      const doneEl = fntags.h('input', { type: 'checkbox', checked: done.bindValue() })
+      const pepperEl = fntags.h('input', { type: 'checkbox', value: 'peppers', checked: toppings.bindValue() })
+      doneEl.checked = true
+      fire(doneEl, 'change')
+      pepperEl.checked = true
+      fire(pepperEl, 'change')
+      expect(done()).eq(true)
+      expect(toppings()).to.deep.equal(['cheese', 'peppers'])
+      toppings([])
+      expect(pepperEl.checked).eq(false)
+    })
+    it('should keep the type of checkbox values added to an empty array', () => {
+      const ids = fntags.fnstate([])
+      const el = fntags.h('input', { type: 'checkbox', value: 2, checked: ids.bindValue() })
+      el.checked = true
+      fire(el, 'change')
+      expect(ids()).to.deep.equal([2])
+      el.checked = false
+      fire(el, 'change')
+      expect(ids()).to.deep.equal([])
+    })
+    it('should bind radios to the value of the checked radio', () => {
+      const size = fntags.fnstate('m')
+      const radios = ['s', 'm'].map(value => fntags.h('input', { type: 'radio', name: 'size', value, checked: size.bindValue() }))
+      expect(radios[1].checked).eq(true)
+      radios[0].checked = true
+      fire(radios[0], 'change')
+      expect(size()).eq('s')
+    })
+    it('should bind multiple selects to an array of values', async () => {
+      const picked = fntags.fnstate(['a'])
+      const el = fntags.h('select', { multiple: true, value: picked.bindValue() },
+        fntags.h('option', { value: 'a' }, 'a'),
+        fntags.h('option', { value: 'b' }, 'b')
+      )
+      // the options are selected once they are added
+      await Promise.resolve()
+      expect(el.options[0].selected).eq(true)
+      el.options[1].selected = true
+      fire(el, 'change')
+      expect(picked()).to.deep.equal(['a', 'b'])
+    })
+    it('should bind the value at a path with bindValuePath', () => {
+      const user = fntags.fnstate({ address: { city: 'Boise' } })
+      const el = fntags.h('textarea', { value: user.bindValuePath('address.city') })
+      expect(el.value).eq('Boise')
+      el.value = 'Denver'
+      fire(el, 'input')
+      expect(user().address.city).eq('Denver')
+    })
+  })
+
+  describe('persisted state', () => {
+    const wait = ms => new Promise(resolve => setTimeout(resolve, ms))
+    beforeEach(() => localStorage.clear())
+    it('should write the value to storage after the debounce', async () => {
+      const prefs = fntags.fnstate({ theme: 'dark' }, { persist: { key: 'prefs', debounce: 5 } })
+      prefs.assign({ theme: 'light' })
+      prefs.assign({ theme: 'blue' })
+      expect(localStorage.getItem('prefs')).eq(null)
+      await wait(20)
+      expect(JSON.parse(localStorage.getItem('prefs'))).to.deep.equal({ version: 0, value: { theme: 'blue' } })
+    })
+    it('should restore the stored value when created', () => {
+      localStorage.setItem('prefs', JSON.stringify({ version: 0, value: { theme: 'blue' } }))
+      const prefs = fntags.fnstate({ theme: 'dark' }, { persist: { key: 'prefs' } })
+      expect(prefs().theme).eq('blue')
+    })
+    it('should migrate values stored with a different version', () => {
+      localStorage.setItem('prefs', JSON.stringify({ version: 1, value: { dark: true } }))
+      const prefs = fntags.fnstate({ theme: 'light' }, {
+        persist: {
+          key: 'prefs',
+          version: 2,
+          migrate: (old, version) => ({ theme: old.dark ? 'dark' : 'light', from: version })
+        }
+      })
+      expect(prefs()).to.deep.equal({ theme: 'dark', from: 1 })
+    })
+    it('should store migrated values so they are only migrated once', () => {
+      localStorage.setItem('prefs', JSON.stringify({ version: 1, value: { dark: true } }))
+      let migrations = 0
+      const options = { persist: { key: 'prefs', version: 2, migrate: old => { migrations++; return { theme: old.dark ? 'dark' : 'light' } } } }
+      fntags.fnstate({ theme: 'light' }, options)
+      expect(JSON.parse(localStorage.getItem('prefs'))).to.deep.equal({ version: 2, value: { theme: 'dark' } })
+      expect(fntags.fnstate({ theme: 'light' }, options)().theme).eq('dark')
+      expect(migrations).eq(1)
+    })
+    it('should report values stored with a different version when there is no migrate function', () => {
+      localStorage.setItem('prefs', JSON.stringify({ version: 1, value: { dark: true } }))
+      let error
+      const prefs = fntags.fnstate({ theme: 'light' }, { persist: { key: 'prefs', version: 2, onerror: e => { error = e } } })
+      expect(prefs()).to.deep.equal({ theme: 'light' })
+      expect(error.message).to.include('has version 1 instead of 2')
+    })
+    it('should keep persisting after the state is reset', async () => {
+      const prefs = fntags.fnstate('initial', { persist: { key: 'prefs', debounce: 0 } })
+      prefs.reset()
+      prefs('changed')
+      await wait(10)
+      expect(JSON.parse(localStorage.getItem('prefs')).value).eq('changed')
+    })
+    it('should use the initial value and report the error when the stored value is corrupted', () => {
+      localStorage.setItem('prefs', '{not json')
+      let error
+      const prefs = fntags.fnstate('initial', { persist: { key: 'prefs', onerror: e => { error = e } } })
+      expect(prefs()).eq('initial')
+      expect(error).instanceOf(Error)
+    })
+    it('should report errors writing to storage', async () => {
+      let error
+      const fullStorage = {
+        getItem: () => null,
+        setItem: () => { throw new Error('QuotaExceededError') }
+      }
+      const prefs = fntags.fnstate('initial', { persist: { key: 'prefs', storage: fullStorage, debounce: 0, onerror: e => { error = e } } })
+      prefs('changed')
+      await wait(10)
+      expect(error.message).eq('QuotaExceededError')
+      expect(prefs()).eq('changed')
+    })
+  })
+
+  describe('synced state', () => {
+    const wait = ms => new Promise(resolve => setTimeout(resolve, ms))
+    it('should send updates to states on the same channel', async () => {
+      const cart = fntags.fnstate([], { sync: 'cart' })
+      const otherTab = fntags.fnstate([], { sync: 'cart' })
+      const el = fntags.h('div', otherTab.bindAs(() => otherTab().length))
+      cart([{ id: 1 }, { id: 2 }])
+      await wait(20)
+      expect(otherTab()).to.deep.equal([{ id: 1 }, { id: 2 }])
+      expect(el.textContent).eq('2')
+    })
+    it('should not send updates received from another tab back', async () => {
+      const theme = fntags.fnstate('light', { sync: 'theme' })
+      const otherTab = fntags.fnstate('light', { sync: 'theme' })
+      let received = 0
+      theme.subscribe(() => received++)
+      let sent = 0
+      otherTab.subscribe(() => sent++)
+      theme('dark')
+      await wait(20)
+      expect(otherTab()).eq('dark')
+      expect(sent).eq(1)
+      expect(received).eq(1)
+    })
+    it('should keep sending updates after the state is reset', async () => {
+      const mode = fntags.fnstate('a', { sync: 'mode' })
+      const otherTab = fntags.fnstate('a', { sync: 'mode' })
+      mode.reset()
+      mode('b')
+      await wait(20)
+      expect(otherTab()).eq('b')
+    })
+    it('should stop syncing once stopSync is called', async () => {
+      const mode = fntags.fnstate('a', { sync: 'stopped' })
+      const otherTab = fntags.fnstate('a', { sync: 'stopped' })
+      otherTab.stopSync()
+      mode('b')
+      await wait(20)
+      expect(otherTab()).eq('a')
+      otherTab('c')
+      await wait(20)
+      expect(mode()).eq('b')
+    })
+    it('should not sync states on different channels', async () => {
+      const a = fntags.fnstate('a', { sync: 'channel-a' })
+      const b = fntags.fnstate('b', { sync: { channel: 'channel-b' } })
+      a('changed')
+      await wait(20)
+      expect(b()).eq('b')
+    })
+  })
+
+  describe('fnhistory', () => {
+    it('should undo and redo changes made with the setter, assign, and setPath', () => {
+      const doc = fntags.fnstate({ title: 'a', meta: { tags: [] } })
+      const history = fntags.fnhistory(doc)
+      doc({ title: 'b', meta: { tags: [] } })
+      doc.assign({ title: 'c' })
+      doc.setPath('meta.tags', ['x'])
+      history.undo()
+      expect(doc()).to.deep.equal({ title: 'c', meta: { tags: [] } })
+      history.undo()
+      expect(doc().title).eq('b')
+      history.undo()
+      expect(doc().title).eq('a')
+      expect(history.undo()).eq(false)
+      history.redo()
+      history.redo()
+      expect(doc().title).eq('c')
+    })
+    it('should render the restored values of items bound with bindChildren', () => {
+      const items = fntags.fnstate([{ id: 1, name: 'a' }, { id: 2, name: 'b' }], i => i.id)
+      const history = fntags.fnhistory(items)
+      const el = items.bindChildren(fntags.h('ul'), item => fntags.h('li', item.bindAs(() => item().name)))
+      items.updateByKey(1, i => ({ ...i, name: 'z' }))
+      expect(el.textContent).eq('zb')
+      history.undo()
+      expect(el.textContent).eq('ab')
+      history.redo()
+      expect(el.textContent).eq('zb')
+    })
+    it('should keep recording changes after the state is reset', () => {
+      const count = fntags.fnstate(0)
+      const history = fntags.fnhistory(count)
+      count.reset()
+      count(1)
+      count(2)
+      expect(history.undo()).eq(true)
+      expect(count()).eq(1)
+      history.redo()
+      expect(count()).eq(2)
+    })
+    it('should not be affected by modifying the current value in place', () => {
+      const list = fntags.fnstate([1])
+      const history = fntags.fnhistory(list)
+      list().push(2)
+      list(list())
+      list().push(3)
+      list(list())
+      history.undo()
+      expect(list()).to.deep.equal([1, 2])
+      history.undo()
+      expect(list()).to.deep.equal([1])
+    })
+    it('should update canUndo and canRedo', () => {
+      const count = fntags.fnstate(0)
+      const history = fntags.fnhistory(count)
+      const button = fntags.h('button', { disabled: history.canUndo.bindAttr(() => !history.canUndo()) })
+      expect(button.disabled).eq(true)
+      count(1)
+      expect(history.canUndo()).eq(true)
+      expect(button.disabled).eq(false)
+      history.undo()
+      expect(history.canUndo()).eq(false)
+      expect(history.canRedo()).eq(true)
+      count(5)
+      expect(history.canRedo()).eq(false)
+      expect(() => history.canUndo(true)).to.throw()
+    })
+    it('should drop the oldest changes past the limit', () => {
+      const count = fntags.fnstate(0)
+      const history = fntags.fnhistory(count, { limit: 2 })
+      count(1)
+      count(2)
+      count(3)
+      while (history.undo());
+      expect(count()).eq(1)
+    })
+    it('should record grouped and batched changes as one entry', () => {
+      const count = fntags.fnstate(0)
+      const history = fntags.fnhistory(count)
+      history.group(() => {
+        count(1)
+        count(2)
+      })
+      fntags.batch(() => {
+        count(3)
+        count(4)
+      })
+      history.undo()
+      expect(count()).eq(2)
+      history.undo()
+      expect(count()).eq(0)
+    })
+    it('should record the values of states created by bindChildren', () => {
+      const items = fntags.fnstate([{ id: 1, name: 'a' }], v => v.id)
+      const history = fntags.fnhistory(items)
+      const list = items.bindChildren(fntags.h('ul'), item => fntags.h('li', item.bindAs(() => item().name)))
+      items([...items(), { id: 2, name: 'b' }])
+      expect(list.children.length).eq(2)
+      history.undo()
+      expect(list.children.length).eq(1)
+      expect(list.children[0].textContent).eq('a')
+    })
+  })
+
+  describe('path subscriptions', () => {
+    const settings = () => fntags.fnstate({ user: { name: 'jerry', address: { city: 'Denver', zip: '80202' } }, theme: 'dark' })
+    it('should only call subscribePath callbacks when the value at the path changes', () => {
+      const state = settings()
+      const calls = []
+      state.subscribePath('user.address.city', (city, old) => calls.push([city, old]))
+      state.setPath('user.name', 'bob')
+      state.setPath('theme', 'light')
+      state.setPath('user.address.city', 'Boulder')
+      state.setPath('user.address.city', 'Boulder')
+      expect(calls).to.deep.equal([['Boulder', 'Denver']])
+    })
+    it('should detect changes made by replacing a parent value', () => {
+      const state = settings()
+      const calls = []
+      state.subscribePath('user.address.city', city => calls.push(city))
+      state.setPath('user.address', { city: 'Austin', zip: '73301' })
+      state({ theme: 'dark' })
+      expect(calls).to.deep.equal(['Austin', undefined])
+    })
+    it('should detect changes made inside of an object at the path', () => {
+      const state = settings()
+      let calls = 0
+      state.subscribePath('user.address', () => calls++)
+      state.setPath('user.address.zip', '80203')
+      state.assign({ theme: 'light' })
+      expect(calls).eq(1)
+    })
+    it('should detect changes made with assign', () => {
+      const state = settings()
+      const calls = []
+      state.subscribePath('theme', theme => calls.push(theme))
+      state.assign({ theme: 'light' })
+      expect(calls).to.deep.equal(['light'])
+    })
+    it('should only update bindPath elements when the value at the path changes', async () => {
+      const state = settings()
+      let renders = 0
+      const el = fntags.h('div', state.bindPath('user.address.city', city => {
+        renders++
+        return fntags.h('span', city)
+      }))
+      state.setPath('user.name', 'bob')
+      state.setPath('user.address.city', 'Boulder')
+      await Promise.resolve()
+      expect(renders).eq(2)
+      expect(el.textContent).eq('Boulder')
+    })
+    it('should render the value at the path when no element is passed', async () => {
+      const state = settings()
+      const el = fntags.h('div', state.bindPath('theme'))
+      state.setPath('theme', 'light')
+      await Promise.resolve()
+      expect(el.textContent).eq('light')
+    })
+    it('should only update bindAttrPath attributes when the value at the path changes', () => {
+      const state = settings()
+      let evaluations = 0
+      const el = fntags.h('div', {
+        class: state.bindAttrPath('theme', theme => {
+          evaluations++
+          return `theme-${theme}`
+        })
+      })
+      state.setPath('user.name', 'bob')
+      expect(evaluations).eq(1)
+      state.setPath('theme', 'light')
+      expect(evaluations).eq(2)
+      expect(el.className).eq('theme-light')
+    })
+    it('should collect the changed paths of a batch', () => {
+      const state = settings()
+      let calls = 0
+      state.subscribePath('user.address', () => calls++)
+      fntags.batch(() => {
+        state.setPath('user.address.zip', '80203')
+        state.setPath('theme', 'light')
+      })
+      expect(calls).eq(1)
+    })
+  })
+
+  describe('equals option', () => {
+    const countNotifications = (state) => {
+      const counter = { count: 0 }
+      state.subscribe(() => counter.count++)
+      return counter
+    }
+    it('should notify observers of every update by default', () => {
+      const state = fntags.fnstate('a')
+      const counter = countNotifications(state)
+      state('a')
+      expect(counter.count).eq(1)
+    })
+    it('should skip identical values with identity equality', () => {
+      const state = fntags.fnstate('a', { equals: 'identity' })
+      const counter = countNotifications(state)
+      state('a')
+      state('b')
+      expect(counter.count).eq(1)
+      expect(state()).eq('b')
+    })
+    it('should compare the entries of objects and arrays with shallow equality', () => {
+      const child = { id: 1 }
+      const state = fntags.fnstate({ child, tags: 'a' }, { equals: 'shallow' })
+      const counter = countNotifications(state)
+      state({ child, tags: 'a' })
+      expect(counter.count).eq(0)
+      state({ child: { id: 1 }, tags: 'a' })
+      expect(counter.count).eq(1)
+    })
+    it('should compare values recursively with deep equality', () => {
+      const state = fntags.fnstate({ user: { tags: ['a'] } }, { equals: 'deep' })
+      const counter = countNotifications(state)
+      state({ user: { tags: ['a'] } })
+      expect(counter.count).eq(0)
+      state({ user: { tags: ['b'] } })
+      expect(counter.count).eq(1)
+    })
+    it('should use a custom comparator', () => {
+      const state = fntags.fnstate({ id: 1, name: 'a' }, { equals: (a, b) => a.id === b.id })
+      const counter = countNotifications(state)
+      state({ id: 1, name: 'b' })
+      state({ id: 2, name: 'b' })
+      expect(counter.count).eq(1)
+    })
+    it('should throw for an invalid equality option', () => {
+      expect(() => fntags.fnstate(1, { equals: 'sorta' })).to.throw('Invalid equals option')
+    })
+    it('should always notify when an object is modified in place and set again', () => {
+      const state = fntags.fnstate({ count: 0 }, { equals: 'deep' })
+      const counter = countNotifications(state)
+      state().count++
+      state(state())
+      expect(counter.count).eq(1)
+    })
+    it('should skip assign and setPath when the values are unchanged', () => {
+      const state = fntags.fnstate({ route: '/home', user: { name: 'jerry' } }, { equals: 'identity' })
+      const counter = countNotifications(state)
+      state.assign({ route: '/home' })
+      state.setPath('user.name', 'jerry')
+      expect(counter.count).eq(0)
+      state.assign({ route: '/about' })
+      state.setPath('user.name', 'bob')
+      expect(counter.count).eq(2)
+    })
+    it('should always write assign and setPath with a custom comparator', () => {
+      const state = fntags.fnstate({ id: 1, name: 'a', tag: null }, { equals: (a, b) => a.id === b.id })
+      const counter = countNotifications(state)
+      state.assign({ name: 'b' })
+      expect(state().name).eq('b')
+      state.setPath('name', 'c')
+      expect(state().name).eq('c')
+      state.setPath('tag', 'new')
+      expect(state().tag).eq('new')
+      expect(counter.count).eq(3)
+    })
+    it('should use the same equality for the states created by bindChildren', () => {
+      const items = fntags.fnstate([{ id: 1, name: 'a' }], { mapKey: v => v.id, equals: 'deep' })
+      let renders = 0
+      items.bindChildren(fntags.h('ul'), item => {
+        const li = fntags.h('li', item.bindAs(() => {
+          renders++
+          return item().name
+        }))
+        return li
+      })
+      const item = items()[0]
+      item({ id: 1, name: 'a' })
+      expect(renders).eq(1)
+      item({ id: 1, name: 'b' })
+      expect(renders).eq(2)
+    })
+  })
+
+  describe('fnresource', () => {
+    const deferred = () => {
+      const request = {}
+      request.promise = new Promise((resolve, reject) => {
+        request.resolve = resolve
+        request.reject = reject
+      })
+      return request
+    }
+    const tick = () => new Promise(resolve => setTimeout(resolve))
+    it('should track the loading, error, and data states', async () => {
+      const request = deferred()
+      const user = fntags.fnresource(() => request.promise)
+      expect(user.loading()).eq(true)
+      expect(user.data()).eq(undefined)
+      request.resolve({ name: 'jerry' })
+      await tick()
+      expect(user.loading()).eq(false)
+      expect(user.data()).to.deep.equal({ name: 'jerry' })
+      expect(user.error()).eq(null)
+      expect(() => user.data('nope')).to.throw()
+    })
+    it('should set the error state when the fetcher fails', async () => {
+      const user = fntags.fnresource(() => { throw new Error('nope') })
+      await tick()
+      expect(user.loading()).eq(false)
+      expect(user.error().message).eq('nope')
+    })
+    it('should refetch when a dependency changes', async () => {
+      const id = fntags.fnstate(1)
+      const requested = []
+      const user = fntags.fnresource(id => {
+        requested.push(id)
+        return Promise.resolve({ id })
+      }, { deps: [id] })
+      await tick()
+      id(2)
+      await tick()
+      expect(requested).to.deep.equal([1, 2])
+      expect(user.data()).to.deep.equal({ id: 2 })
+    })
+    it('should ignore stale responses and abort their signal', async () => {
+      const id = fntags.fnstate(1)
+      const requests = {}
+      const user = fntags.fnresource((id, { signal }) => {
+        requests[id] = { ...deferred(), signal }
+        return requests[id].promise
+      }, { deps: [id] })
+      await tick()
+      id(2)
+      await tick()
+      expect(requests[1].signal.aborted).eq(true)
+      requests[2].resolve('second')
+      await tick()
+      requests[1].resolve('first')
+      await tick()
+      expect(user.data()).eq('second')
+    })
+    it('should refetch and mutate the data', async () => {
+      let count = 0
+      const counter = fntags.fnresource(() => Promise.resolve(++count))
+      await tick()
+      expect(await counter.refetch()).eq(2)
+      counter.mutate(n => n + 10)
+      expect(counter.data()).eq(12)
+      expect(counter.loading()).eq(false)
+    })
+    it('should render the loading fallback, the data, and the error fallback', async () => {
+      const id = fntags.fnstate(1)
+      const user = fntags.fnresource(id => id === 1 ? Promise.resolve('jerry') : Promise.reject(new Error('not found')), {
+        deps: [id],
+        render: name => fntags.h('b', name),
+        loading: () => fntags.h('i', 'loading'),
+        error: (e, refetch) => fntags.h('span', e.message)
+      })
+      const el = fntags.h('div', user)
+      expect(el.innerHTML).eq('<i>loading</i>')
+      await tick()
+      expect(el.innerHTML).eq('<b>jerry</b>')
+      id(2)
+      await tick()
+      expect(el.innerHTML).eq('<span>not found</span>')
+    })
+    it('should stop listening to the dependencies and its own states once disposed', async () => {
+      const id = fntags.fnstate(1)
+      const user = fntags.fnresource(id => Promise.resolve(id), { deps: [id] })
+      await tick()
+      user.dispose()
+      expect(id.observerCount()).eq(0)
+      expect(user.data.observerCount()).eq(0)
+      expect(user.loading.observerCount()).eq(0)
+      expect(user.error.observerCount()).eq(0)
+    })
+  })
+
+  describe('promise fallbacks', () => {
+    const tick = () => new Promise(resolve => setTimeout(resolve))
+    afterEach(() => fntags.setAsyncDefaults({ loading: undefined, error: undefined, timeout: undefined }))
+    it('should render the loading placeholder until the promise resolves', async () => {
+      const el = fntags.h('div', fntags.fnasync(Promise.resolve('done'), { loading: () => fntags.h('i', 'loading') }))
+      expect(el.innerHTML).eq('<div style="display:contents" class="fntags-promise-marker"><i>loading</i></div>')
+      await tick()
+      expect(el.innerHTML).eq('done')
+    })
+    it('should render the error fallback when the promise fails', async () => {
+      const el = fntags.h('div', fntags.fnasync(Promise.reject(new Error('nope')), { error: e => fntags.h('b', e.message) }))
+      await tick()
+      expect(el.innerHTML).eq('<b>nope</b>')
+    })
+    it('should render the error fallback when the promise times out', async () => {
+      let resolveLate
+      const late = new Promise(resolve => { resolveLate = resolve })
+      const el = fntags.h('div', fntags.fnasync(late, { timeout: 5, error: e => e.message }))
+      await new Promise(resolve => setTimeout(resolve, 20))
+      expect(el.textContent).eq('Promise timed out after 5ms')
+      resolveLate('late')
+      await tick()
+      expect(el.textContent).eq('Promise timed out after 5ms')
+    })
+    it('should hide the loading placeholder when a promise without an error fallback fails', async () => {
+      const el = fntags.h('div', fntags.fnasync(Promise.reject(new Error('nope')), { loading: 'loading' }))
+      await tick()
+      expect(el.textContent).eq('')
+      expect(el.firstChild.style.display).eq('none')
+    })
+    it('should use the defaults for all promises', async () => {
+      fntags.setAsyncDefaults({ loading: () => 'loading', error: e => `failed: ${e.message}` })
+      const el = fntags.h('div', Promise.reject(new Error('nope')), fntags.fnasync(Promise.resolve('ok'), { loading: () => 'wait' }))
+      expect(el.textContent).eq('loadingwait')
+      await tick()
+      expect(el.textContent).eq('failed: nopeok')
+    })
+    it('should render a copy of a loading element for each promise', () => {
+      fntags.setAsyncDefaults({ loading: fntags.h('i', 'loading') })
+      const el = fntags.h('div', new Promise(() => {}), new Promise(() => {}))
+      expect(el.textContent).eq('loadingloading')
+    })
+  })
+
+  describe('fnboundary', () => {
+    const quietly = (options = {}) => Object.assign({ onerror: () => {} }, options)
+    it('should render the content when nothing fails', () => {
+      const el = fntags.fnboundary(() => fntags.h('b', 'ok'))
+      expect(el.innerHTML).eq('<b>ok</b>')
+    })
+    it('should render the fallback and report errors thrown while rendering', () => {
+      const errors = []
+      const el = fntags.fnboundary(() => { throw new Error('nope') }, {
+        fallback: e => fntags.h('i', e.message),
+        onerror: e => errors.push(e.message)
+      })
+      expect(el.innerHTML).eq('<i>nope</i>')
+      expect(errors).to.deep.equal(['nope'])
+    })
+    it('should catch errors thrown by bindings when the state changes without stopping the other observers', async () => {
+      const user = fntags.fnstate({ profile: { name: 'jerry' } })
+      const el = fntags.fnboundary(() => fntags.h('div', user.bindAs(u => fntags.h('span', u.profile.name))), quietly({ fallback: () => 'failed' }))
+      let notified = false
+      user.subscribe(() => { notified = true })
+      user({})
+      expect(notified).eq(true)
+      expect(el.textContent).eq('failed')
+    })
+    it('should catch errors thrown while replacing the element of a binding', () => {
+      const errors = []
+      const broken = fntags.fnstate(false)
+      const el = fntags.fnboundary(() => {
+        // inserting the wrapper into itself fails
+        const wrapper = fntags.h('div', broken.bindAs(() => broken() ? wrapper : fntags.h('span', 'ok')))
+        return wrapper
+      }, { fallback: () => 'failed', onerror: e => errors.push(e.name) })
+      broken(true)
+      expect(el.textContent).eq('failed')
+      expect(errors).to.deep.equal(['HierarchyRequestError'])
+    })
+    it('should render the content again after the next state change', async () => {
+      const user = fntags.fnstate({})
+      const el = fntags.fnboundary(() => fntags.h('div', user.bindAs(u => fntags.h('span', u.profile.name))), quietly({ fallback: () => 'failed' }))
+      expect(el.textContent).eq('failed')
+      user({ profile: { name: 'jerry' } })
+      expect(el.textContent).eq('jerry')
+      user({})
+      expect(el.textContent).eq('failed')
+      user({ profile: { name: 'bob' } })
+      expect(el.textContent).eq('bob')
+    })
+    it('should catch errors thrown while rendering the children of bindChildren', () => {
+      const items = fntags.fnstate([{ id: 1, name: 'a' }], v => v.id)
+      const el = fntags.fnboundary(
+        () => items.bindChildren(fntags.h('ul'), item => {
+          if (!item().name) throw new Error('no name')
+          return fntags.h('li', item().name)
+        }),
+        quietly({ fallback: e => e.message })
+      )
+      items([...items(), { id: 2 }])
+      expect(el.textContent).eq('no name')
+      items([{ id: 1, name: 'a' }, { id: 3, name: 'c' }])
+      expect(el.textContent).eq('ac')
+    })
+    it('should pass a retry function to the fallback', () => {
+      let fail = true
+      let retry
+      const el = fntags.fnboundary(() => {
+        if (fail) throw new Error('nope')
+        return 'ok'
+      }, quietly({ fallback: (e, r) => { retry = r; return 'failed' } }))
+      expect(el.textContent).eq('failed')
+      fail = false
+      retry()
+      expect(el.textContent).eq('ok')
+    })
+    it('should still throw from the setter outside of a boundary', () => {
+      const user = fntags.fnstate({ profile: { name: 'jerry' } })
+      fntags.h('div', user.bindAs(u => fntags.h('span', u.profile.name)))
+      expect(() => user({})).to.throw()
+    })
+  })
+
+  describe('fncontext', () => {
+    it('should return the default value outside of a provider', () => {
+      const theme = fntags.fncontext('light')
+      expect(theme()).eq('light')
+    })
+    it('should provide the value to the elements rendered inside of the provider', () => {
+      const theme = fntags.fncontext('light')
+      const themed = () => fntags.h('span', { class: theme() })
+      const el = theme.provide('dark', () => fntags.h('div', themed()))
+      expect(el.firstChild.className).eq('dark')
+      expect(theme()).eq('light')
+    })
+    it('should use the value of the nearest provider', () => {
+      const theme = fntags.fncontext('light')
+      const el = theme.provide('dark', () => fntags.h('div', theme(), theme.provide('blue', () => fntags.h('b', theme())), theme()))
+      expect(el.textContent).eq('darkbluedark')
+    })
+    it('should provide the value to elements rendered later by bindAs and bindChildren', async () => {
+      const user = fntags.fncontext(null)
+      const count = fntags.fnstate(1)
+      const items = fntags.fnstate([1], v => v)
+      const el = user.provide({ name: 'jerry' }, () => fntags.h('div',
+        count.bindAs(() => fntags.h('b', `${user().name} ${count()}`)),
+        items.bindChildren(fntags.h('ul'), item => fntags.h('li', user().name))
+      ))
+      count(2)
+      items([1, 2])
+      await Promise.resolve()
+      expect(el.querySelector('b').textContent).eq('jerry 2')
+      expect(el.querySelectorAll('li')[1].textContent).eq('jerry')
+    })
+    it('should provide an fnstate', () => {
+      const theme = fntags.fncontext()
+      const themeState = fntags.fnstate('light')
+      const el = theme.provide(themeState, () => fntags.h('div', { class: theme().bindAttr() }))
+      themeState('dark')
+      expect(el.className).eq('dark')
+    })
+    it('should run functions with the captured context values', () => {
+      const theme = fntags.fncontext('light')
+      let inContext
+      theme.provide('dark', () => {
+        inContext = fntags.captureContext()
+        return 'x'
+      })
+      expect(inContext(() => theme())).eq('dark')
+      expect(theme()).eq('light')
+    })
+  })
+
+  describe('bound regions', () => {
+    const tick = () => Promise.resolve()
+    const elements = el => Array.from(el.childNodes).filter(n => n.nodeType !== Node.COMMENT_NODE).map(n => n.textContent)
+    it('should render arrays returned by bindAs without a wrapping element', () => {
+      const items = fntags.fnstate(['a', 'b'])
+      const el = fntags.h('div', items.bindAs(() => items().map(i => fntags.h('span', i))))
+      expect(el.innerHTML).eq('<!--fntags-region--><span>a</span><span>b</span><!--/fntags-region-->')
+    })
+    it('should switch between none, one, and many nodes', async () => {
+      const count = fntags.fnstate(2)
+      const el = fntags.h('div', 'before', count.bindAs(() =>
+        count() === 0 ? null : count() === 1 ? fntags.h('b', '1') : Array.from({ length: count() }, (v, i) => fntags.h('i', `${i}`))
+      ), 'after')
+      expect(elements(el)).to.deep.equal(['before', '0', '1', 'after'])
+      count(0)
+      await tick()
+      expect(elements(el)).to.deep.equal(['before', 'after'])
+      count(1)
+      await tick()
+      expect(el.innerHTML).eq('before<b>1</b>after')
+      count(3)
+      await tick()
+      expect(elements(el)).to.deep.equal(['before', '0', '1', '2', 'after'])
+      count(1)
+      await tick()
+      expect(el.innerHTML).eq('before<b>1</b>after')
+    })
+    it('should render fragments returned by bindAs', async () => {
+      const name = fntags.fnstate('a')
+      const el = fntags.h('div', name.bindAs(() => {
+        const fragment = document.createDocumentFragment()
+        fragment.append(fntags.h('b', name()), fntags.h('i', name()))
+        return fragment
+      }))
+      name('b')
+      await tick()
+      expect(elements(el)).to.deep.equal(['b', 'b'])
+    })
+    it('should keep nodes that are rendered again', async () => {
+      const a = fntags.h('b', 'a')
+      const b = fntags.h('b', 'b')
+      const order = fntags.fnstate([a, b])
+      const el = fntags.h('div', order.bindAs(() => order()))
+      order([b, a])
+      await tick()
+      expect(elements(el)).to.deep.equal(['b', 'a'])
+    })
+    it('should hydrate server rendered regions', async () => {
+      const items = fntags.fnstate(['a', 'b'])
+      const container = document.createElement('div')
+      container.innerHTML = '<div><!--fntags-region--><span>a</span><span>b</span><!--/fntags-region--></div>'
+      const server = container.firstChild
+      const mismatches = []
+      fntags.hydrate(container, fntags.h('div', items.bindAs(() => items().map(i => fntags.h('span', i)))), (path, reason) => mismatches.push(reason))
+      expect(mismatches).to.deep.equal([])
+      items(['c'])
+      await tick()
+      expect(container.firstChild).eq(server)
+      expect(server.innerHTML).eq('<!--fntags-region--><span>c</span><!--/fntags-region-->')
+    })
+  })
+
+  describe('array functions', () => {
+    const people = () => fntags.fnstate([{ id: 1, name: 'a' }, { id: 2, name: 'b' }, { id: 3, name: 'c' }], p => p.id)
+    const bind = (list, renders = []) => list.bindChildren(fntags.h('ul'), item => {
+      renders.push(item().id)
+      return fntags.h('li', item.bindAs(() => item().name))
+    })
+    const names = el => Array.from(el.children).map(li => li.textContent).join('')
+    it('should render only the pushed items', () => {
+      const list = people()
+      const renders = []
+      const el = bind(list, renders)
+      const first = el.firstChild
+      list.push({ id: 4, name: 'd' }, { id: 5, name: 'e' })
+      expect(names(el)).eq('abcde')
+      expect(el.firstChild).eq(first)
+      expect(renders).to.deep.equal([3, 2, 1, 4, 5])
+      expect(list().map(p => p().id)).to.deep.equal([1, 2, 3, 4, 5])
+    })
+    it('should insert items at an index', () => {
+      const list = people()
+      const el = bind(list)
+      list.insertAt(1, { id: 4, name: 'd' })
+      list.insertAt(0, { id: 5, name: 'e' })
+      expect(names(el)).eq('eadbc')
+    })
+    it('should remove items by key', () => {
+      const list = people()
+      const el = bind(list)
+      const last = el.lastChild
+      list.removeByKey(2)
+      expect(names(el)).eq('ac')
+      expect(el.lastChild).eq(last)
+      expect(() => list.removeByKey(2)).to.throw('No item with the key 2')
+    })
+    it('should move items without rendering them again', () => {
+      const list = people()
+      const renders = []
+      const el = bind(list, renders)
+      const first = el.firstChild
+      list.move(0, 2)
+      expect(names(el)).eq('bca')
+      expect(el.lastChild).eq(first)
+      list.move(2, 1)
+      expect(names(el)).eq('bac')
+      expect(renders.length).eq(3)
+    })
+    it('should update the state of an item by key', () => {
+      const list = people()
+      const el = bind(list)
+      const second = el.children[1]
+      list.updateByKey(2, p => ({ ...p, name: 'z' }))
+      expect(names(el)).eq('azc')
+      expect(el.children[1]).eq(second)
+      expect(() => list.updateByKey(2, { id: 9, name: 'z' })).to.throw('The key of an item cannot be changed by updateByKey.')
+    })
+    it('should sort the items using their values', () => {
+      const list = fntags.fnstate([{ id: 1, name: 'c' }, { id: 2, name: 'a' }, { id: 3, name: 'b' }], p => p.id)
+      const renders = []
+      const el = bind(list, renders)
+      list.sort((a, b) => a.name.localeCompare(b.name))
+      expect(names(el)).eq('abc')
+      expect(renders.length).eq(3)
+    })
+    it('should apply every change made in a batch', () => {
+      const list = people()
+      const el = bind(list)
+      fntags.batch(() => {
+        list.push({ id: 4, name: 'd' })
+        list.removeByKey(1)
+        list.move(0, 2)
+      })
+      expect(names(el)).eq('cdb')
+    })
+    it('should work on arrays that are not bound', () => {
+      const list = fntags.fnstate([3, 1, 2], v => v)
+      list.push(4)
+      list.sort()
+      list.removeByKey(2)
+      expect(list()).to.deep.equal([1, 3, 4])
+    })
+    it('should reject duplicate keys and values that are not arrays', () => {
+      const list = people()
+      expect(() => list.push({ id: 1, name: 'x' })).to.throw('Duplicate keys in a bound array are not allowed.')
+      expect(() => fntags.fnstate('a').push('b')).to.throw('This state does not contain an array.')
+    })
+  })
+
+  describe('bindVirtualChildren', () => {
+    const rows = (count) => fntags.fnstate(Array.from({ length: count }, (v, i) => ({ id: i, name: `row ${i}` })), r => r.id)
+    const box = () => {
+      const container = fntags.h('div', { style: 'height: 100px; overflow: auto' })
+      // jsdom doesn't lay out elements
+      Object.defineProperty(container, 'clientHeight', { value: 100 })
+      return container
+    }
+    // the container must be in the document to be laid out and scrolled
+    const attached = []
+    const scroller = () => {
+      const container = box()
+      document.body.append(container)
+      attached.push(container)
+      return container
+    }
+    afterEach(() => {
+      for (const el of attached.splice(0)) el.remove()
+    })
+    const row = (height) => item => fntags.h('div', { style: `height: ${height}px` }, item.bindAs(() => item().name))
+    const rendered = el => Array.from(el.children).slice(1, -1).map(r => r.textContent)
+    it('should render only the visible rows and the overscan', () => {
+      const list = rows(100000)
+      const el = list.bindVirtualChildren(scroller(), row(20), { rowHeight: 20, overscan: 2 })
+      expect(rendered(el)).to.deep.equal(['row 0', 'row 1', 'row 2', 'row 3', 'row 4', 'row 5', 'row 6'])
+      expect(el.firstChild.style.height).eq('0px')
+      expect(el.lastChild.style.height).eq(`${(100000 - 7) * 20}px`)
+    })
+    it('should render the rows scrolled into view', () => {
+      const list = rows(1000)
+      const el = list.bindVirtualChildren(scroller(), row(20), { rowHeight: 20, overscan: 1 })
+      el.scrollTop = 2000
+      el.dispatchEvent(new Event('scroll'))
+      expect(rendered(el)).to.deep.equal(['row 99', 'row 100', 'row 101', 'row 102', 'row 103', 'row 104', 'row 105'])
+      expect(el.firstChild.style.height).eq('1980px')
+    })
+    it('should keep the elements of rows that stay rendered', () => {
+      const list = rows(1000)
+      const el = list.bindVirtualChildren(scroller(), row(20), { rowHeight: 20, overscan: 0 })
+      const second = el.children[2]
+      el.scrollTop = 20
+      el.dispatchEvent(new Event('scroll'))
+      expect(el.children[1]).eq(second)
+      list.updateByKey(1, r => ({ ...r, name: 'changed' }))
+      expect(rendered(el)[0]).eq('changed')
+    })
+    it('should keep the visible rows in place when rows are inserted above them', () => {
+      const list = rows(1000)
+      const el = list.bindVirtualChildren(scroller(), row(20), { rowHeight: 20 })
+      el.scrollTop = 400
+      el.dispatchEvent(new Event('scroll'))
+      list.insertAt(0, { id: 'a', name: 'a' }, { id: 'b', name: 'b' })
+      expect(el.scrollTop).eq(440)
+      list(list().slice(5))
+      expect(el.scrollTop).eq(340)
+    })
+    it('should measure rows without a fixed height', () => {
+      const list = rows(100)
+      const el = list.bindVirtualChildren(scroller(), item => {
+        const div = fntags.h('div', item().name)
+        div.getBoundingClientRect = () => ({ height: 50 })
+        return div
+      }, { estimatedRowHeight: 10, overscan: 0 })
+      expect(rendered(el).length).eq(2)
+      // the rows rendered before the first measurement were measured too
+      expect(el.lastChild.style.height).eq(`${8 * 50 + 90 * 10}px`)
+    })
+    it('should scroll to a key', () => {
+      const list = rows(1000)
+      const el = list.bindVirtualChildren(scroller(), row(20), { rowHeight: 20, overscan: 0 })
+      list.scrollToKey(500)
+      expect(el.scrollTop).eq(20 * 501 - 100)
+      expect(rendered(el)).to.include('row 500')
+      list.scrollToKey(10, 'start')
+      expect(el.scrollTop).eq(200)
+      expect(rendered(el)[0]).eq('row 10')
+      list.scrollToKey(20, 'center')
+      expect(el.scrollTop).eq(360)
+    })
+    it('should select rows', () => {
+      const list = rows(1000)
+      const el = list.bindVirtualChildren(scroller(), item => fntags.h('div', { class: item.bindSelectAttr(() => list.selected() === item().id ? 'selected' : '') }), { rowHeight: 20, overscan: 0 })
+      list.select(2)
+      expect(el.children[3].className).eq('selected')
+      el.scrollTop = 2000
+      el.dispatchEvent(new Event('scroll'))
+      list.select(101)
+      expect(el.children[2].className).eq('selected')
+    })
+    it('should keep scrolling hydrated lists', () => {
+      const container = document.createElement('div')
+      container.innerHTML = rows(1000).bindVirtualChildren(box(), row(20), { rowHeight: 20, overscan: 0 }).outerHTML
+      document.body.append(container)
+      const server = container.firstChild
+      Object.defineProperty(server, 'clientHeight', { value: 100 })
+      const list = rows(1000)
+      fntags.hydrate(container, () => list.bindVirtualChildren(box(), row(20), { rowHeight: 20, overscan: 0 }))
+      expect(container.firstChild).eq(server)
+      server.scrollTop = 2000
+      server.dispatchEvent(new Event('scroll'))
+      expect(rendered(server)).to.deep.equal(['row 100', 'row 101', 'row 102', 'row 103', 'row 104'])
+      expect(server.firstChild.style.height).eq('2000px')
+      expect(server.lastChild.style.height).eq(`${(1000 - 105) * 20}px`)
+      list.updateByKey(101, r => ({ ...r, name: 'changed' }))
+      expect(rendered(server)[1]).eq('changed')
+      container.remove()
+    })
+  })
+
+  describe('fntransition', () => {
+    const wait = ms => new Promise(resolve => setTimeout(resolve, ms))
+    const classes = el => Array.from(el.children).map(child => `${child.textContent}:${child.className}`)
+    it('should add the enter classes to added children and remove them when the transition ends', async () => {
+      const items = fntags.fnstate([1], v => v)
+      const el = items.bindChildren(fntags.fntransition(fntags.h('ul'), { name: 'fade', duration: 20 }), item => fntags.h('li', item()))
+      expect(classes(el)).to.deep.equal(['1:'])
+      items.push(2)
+      expect(classes(el)).to.deep.equal(['1:', '2:fade-enter-from fade-enter-active'])
+      await wait(30)
+      expect(classes(el)).to.deep.equal(['1:', '2:fade-enter-active fade-enter-to'])
+      await wait(30)
+      expect(classes(el)).to.deep.equal(['1:', '2:'])
+    })
+    it('should remove children once the leave transition ends', async () => {
+      const items = fntags.fnstate([1, 2, 3], v => v)
+      const el = items.bindChildren(fntags.fntransition(fntags.h('ul'), { duration: 20 }), item => fntags.h('li', item()))
+      items([1, 3])
+      expect(classes(el)).to.deep.equal(['1:', '2:fn-leave-from fn-leave-active', '3:'])
+      items([1, 3, 2])
+      expect(classes(el)).to.deep.equal(['1:', '2:fn-leave-from fn-leave-active', '3:', '2:fn-enter-from fn-enter-active'])
+      await wait(30)
+      expect(classes(el)).to.deep.equal(['1:', '2:fn-leave-active fn-leave-to', '3:', '2:fn-enter-active fn-enter-to'])
+      await wait(30)
+      expect(classes(el)).to.deep.equal(['1:', '3:', '2:'])
+      items([2])
+      expect(el.children.length).eq(3)
+      await wait(60)
+      expect(classes(el)).to.deep.equal(['2:'])
+    })
+    it('should animate children that move from their previous position', async () => {
+      const items = fntags.fnstate([1, 2, 3], v => v)
+      const el = items.bindChildren(fntags.fntransition(fntags.h('ul'), { name: 'list', duration: 20 }), item => {
+        const li = fntags.h('li', item())
+        li.getBoundingClientRect = () => ({ left: 0, top: Array.from(li.parentNode.children).indexOf(li) * 10 })
+        return li
+      })
+      items.move(2, 0)
+      expect(classes(el)).to.deep.equal(['3:list-move', '1:list-move', '2:list-move'])
+      expect(el.children[0].style.transform).eq('')
+      await wait(30)
+      expect(classes(el)).to.deep.equal(['3:', '1:', '2:'])
+    })
+    it('should animate the elements swapped by bindAs', async () => {
+      const name = fntags.fnstate('a')
+      const el = fntags.h('div', name.bindAs(fntags.fntransition(() => fntags.h('b', name()), { name: 'swap', duration: 20 })))
+      name('b')
+      await Promise.resolve()
+      expect(classes(el)).to.deep.equal(['b:swap-enter-from swap-enter-active', 'a:swap-leave-from swap-leave-active'])
+      await wait(60)
+      expect(classes(el)).to.deep.equal(['b:'])
+    })
+    it('should require a parent or an element function', () => {
+      expect(() => fntags.fntransition('ul')).to.throw('You must pass the parent of bindChildren or the element function of a binding to fntransition.')
+    })
+  })
+
+  describe('multiple selection', () => {
+    const rows = () => fntags.fnstate([1, 2, 3, 4, 5].map(id => ({ id })), { mapKey: r => r.id, selection: 'multiple' })
+    const bind = (list, updates = []) => list.bindChildren(fntags.h('ul'), item => fntags.h('li', {
+      class: item.bindSelectAttr(() => {
+        updates.push(item().id)
+        return list.isSelected(item().id) ? 'selected' : ''
+      })
+    }))
+    const selected = el => Array.from(el.children).map((li, i) => li.className ? i + 1 : '').join('')
+    it('should toggle keys without deselecting the others', () => {
+      const list = rows()
+      const el = bind(list)
+      list.toggle(2)
+      list.toggle(4)
+      expect(selected(el)).eq('24')
+      list.toggle(2)
+      expect(selected(el)).eq('4')
+      expect(list.selectedKeys()).to.deep.equal([4])
+    })
+    it('should select a range from the last toggled key', () => {
+      const list = rows()
+      const el = bind(list)
+      list.select(4)
+      list.selectRange(2)
+      expect(selected(el)).eq('234')
+      list.selectRange(5)
+      expect(selected(el)).eq('45')
+      list.selectRange(1, 2)
+      expect(selected(el)).eq('12')
+      expect(list.selected()).eq(1)
+    })
+    it('should select all and clear the selection', () => {
+      const list = rows()
+      const el = bind(list)
+      list.selectAll()
+      expect(selected(el)).eq('12345')
+      list.clearSelection()
+      expect(selected(el)).eq('')
+      expect(list.selectedKeys()).to.deep.equal([])
+    })
+    it('should only notify the keys whose selection changed', () => {
+      const list = rows()
+      const updates = []
+      bind(list, updates)
+      updates.length = 0
+      list.toggle(1)
+      list.selectRange(3)
+      expect(updates).to.deep.equal([1, 2, 3])
+      updates.length = 0
+      list.select(3)
+      expect(updates.sort()).to.deep.equal([1, 2])
+      updates.length = 0
+      list.select(3)
+      expect(updates).to.deep.equal([])
+    })
+    it('should bind to the selected keys', () => {
+      const list = rows()
+      const el = fntags.h('div', list.selectedKeys.bindAs(keys => `${keys.length} selected`))
+      list.toggle(1)
+      list.toggle(3)
+      expect(el.textContent).eq('2 selected')
+      expect(() => list.selectedKeys([])).to.throw('This state is read only and cannot be set directly.')
+    })
+    it('should deselect the keys of removed items', () => {
+      const list = rows()
+      const updates = []
+      bind(list, updates)
+      list.toggle(2)
+      list.toggle(4)
+      updates.length = 0
+      list.removeByKey(4)
+      expect(list.selectedKeys()).to.deep.equal([2])
+      expect(list.selected()).eq(undefined)
+      expect(updates).to.deep.equal([4])
+      list(list().filter(row => row().id !== 2))
+      expect(list.selectedKeys()).to.deep.equal([])
+      expect(list.isSelected(2)).eq(false)
+    })
+    it('should keep one selected key in the single selection mode', () => {
+      const list = fntags.fnstate([1, 2, 3], v => v)
+      list.toggle(1)
+      list.toggle(2)
+      expect(list.selectedKeys()).to.deep.equal([2])
+      list.toggle(2)
+      expect(list.selected()).eq(undefined)
+      expect(() => list.selectAll()).to.throw('selectAll can only be used with the multiple selection mode')
+      expect(() => fntags.fnstate([], { selection: 'many' })).to.throw('Unknown selection mode many, must be single or multiple')
+    })
+  })
+
+  describe('bindNavigation', () => {
+    const press = (el, key, init = {}) => el.dispatchEvent(new KeyboardEvent('keydown', { key, bubbles: true, cancelable: true, ...init }))
+    const fruits = (options) => fntags.fnstate(['apple', 'banana', 'blueberry', 'cherry'], options || (v => v))
+    const list = (state, options) => {
+      const el = state.bindNavigation(state.bindChildren(fntags.h('ul', { role: 'listbox' }), item => fntags.h('li', { role: 'option' }, item())), options)
+      document.body.append(el)
+      return el
+    }
+    const attrs = (el, name) => Array.from(el.children).map(li => li.getAttribute(name)).join(',')
+    it('should move a roving tabindex and the selection with the arrow keys', () => {
+      const state = fruits()
+      const el = list(state)
+      expect(attrs(el, 'tabindex')).eq('0,-1,-1,-1')
+      press(el.children[0], 'ArrowDown')
+      expect(state.selected()).eq('apple')
+      press(el.children[0], 'ArrowDown')
+      expect(state.selected()).eq('banana')
+      expect(attrs(el, 'tabindex')).eq('-1,0,-1,-1')
+      expect(attrs(el, 'aria-selected')).eq('false,true,false,false')
+      expect(document.activeElement).eq(el.children[1])
+      press(el.children[1], 'End')
+      expect(state.selected()).eq('cherry')
+      press(el.children[3], 'ArrowDown')
+      expect(state.selected()).eq('cherry')
+      press(el.children[3], 'Home')
+      press(el.children[0], 'ArrowUp')
+      expect(state.selected()).eq('apple')
+      el.remove()
+    })
+    it('should wrap around and use the horizontal arrow keys', () => {
+      const state = fruits()
+      const el = list(state, { orientation: 'horizontal', wrap: true })
+      press(el, 'ArrowLeft')
+      expect(state.selected()).eq('apple')
+      press(el, 'ArrowLeft')
+      expect(state.selected()).eq('cherry')
+      press(el, 'ArrowDown')
+      expect(state.selected()).eq('cherry')
+      el.remove()
+    })
+    it('should select the element that starts with the typed characters', () => {
+      const state = fruits()
+      const el = list(state)
+      press(el, 'b')
+      expect(state.selected()).eq('banana')
+      press(el, 'l')
+      expect(state.selected()).eq('blueberry')
+      el.remove()
+    })
+    it('should keep the attributes in sync with select', async () => {
+      const state = fruits()
+      const el = list(state)
+      state.select('cherry')
+      expect(attrs(el, 'tabindex')).eq('-1,-1,-1,0')
+      state.push('date')
+      await Promise.resolve()
+      expect(attrs(el, 'aria-selected')).eq('false,false,false,true,false')
+      el.remove()
+    })
+    it('should set the active descendant instead of moving the focus', () => {
+      const state = fruits()
+      const el = list(state, { focus: 'activedescendant' })
+      expect(el.getAttribute('tabindex')).eq('0')
+      press(el, 'ArrowDown')
+      press(el, 'ArrowDown')
+      expect(el.getAttribute('aria-activedescendant')).eq(el.children[1].id)
+      expect(el.children[1].hasAttribute('tabindex')).eq(false)
+      el.remove()
+    })
+    it('should navigate hydrated lists', () => {
+      const state = fruits()
+      const container = document.createElement('div')
+      container.innerHTML = '<ul role="listbox"><li role="option">apple</li><li role="option">banana</li><li role="option">blueberry</li><li role="option">cherry</li></ul>'
+      document.body.append(container)
+      const server = container.firstChild
+      fntags.hydrate(container, () => state.bindNavigation(state.bindChildren(fntags.h('ul', { role: 'listbox' }), item => fntags.h('li', { role: 'option' }, item()))))
+      press(server.children[0], 'ArrowDown')
+      press(server.children[0], 'ArrowDown')
+      expect(state.selected()).eq('banana')
+      expect(document.activeElement).eq(server.children[1])
+      container.remove()
+    })
+    it('should select ranges, move the focus, and toggle in multiple selection mode', () => {
+      const state = fruits({ mapKey: v => v, selection: 'multiple' })
+      const el = list(state)
+      press(el, 'ArrowDown')
+      press(el, 'ArrowDown', { shiftKey: true })
+      press(el, 'ArrowDown', { shiftKey: true })
+      expect(state.selectedKeys()).to.deep.equal(['apple', 'banana', 'blueberry'])
+      press(el, 'ArrowDown', { ctrlKey: true })
+      press(el, ' ')
+      expect(state.selectedKeys()).to.deep.equal(['apple', 'banana', 'blueberry', 'cherry'])
+      expect(el.getAttribute('aria-multiselectable')).eq('true')
+      el.remove()
+    })
+  })
 })
@@ -0,0 +1,59 @@
+import { Fragment, jsx, jsxs } from '../../docs/lib/jsx-runtime.mjs'
+import { fnstate, h } from '../../docs/lib/fntags.mjs'
+
+describe('jsx-runtime', () => {
+  it('should create the same elements as h', () => {
+    // <div id="jerry" className="taco">hi <b>there</b></div>
+    const el = jsxs('div', { id: 'jerry', className: 'taco', children: ['hi ', jsx('b', { children: 'there' })] })
+    expect(el.outerHTML).eq(h('div', { id: 'jerry', class: 'taco' }, 'hi ', h('b', 'there')).outerHTML)
+  })
+  it('should set style objects, htmlFor, and event handlers', () => {
+    let clicked = false
+    const el = jsx('label', { htmlFor: 'name', style: { color: 'red' }, onClick: () => { clicked = true } })
+    el.click()
+    expect(clicked).eq(true)
+    expect(el.getAttribute('for')).eq('name')
+    expect(el.style.color).eq('red')
+  })
+  it('should skip null, undefined, and boolean children and flatten arrays', () => {
+    // <ul>{false && <li>hidden</li>}{null}{[1, [2]].map(...)}</ul>
+    const el = jsxs('ul', { children: [false, null, undefined, [jsx('li', { children: 1 }), [jsx('li', { children: 2 })]]] })
+    expect(el.outerHTML).eq('<ul><li>1</li><li>2</li></ul>')
+  })
+  it('should pass the props and children to function components', () => {
+    const Card = ({ title, children }) => jsxs('section', { children: [jsx('h2', { children: title }), children] })
+    const el = jsx(Card, { title: 'Hi', children: jsx('p', { children: 'there' }) })
+    expect(el.outerHTML).eq('<section><h2>Hi</h2><p>there</p></section>')
+  })
+  it('should render fragments without a wrapping element', () => {
+    const el = jsx('div', { children: jsxs(Fragment, { children: [jsx('b', { children: 'a' }), 'b'] }) })
+    expect(el.innerHTML).eq('<b>a</b>b')
+  })
+  it('should create svg elements in the svg namespace', () => {
+    const el = jsx('svg', { children: jsx('use', { xlinkHref: '#icon' }) })
+    expect(el.namespaceURI).eq('http://www.w3.org/2000/svg')
+    expect(el.firstChild.namespaceURI).eq('http://www.w3.org/2000/svg')
+    expect(el.firstChild.getAttributeNS('http://www.w3.org/1999/xlink', 'href')).eq('#icon')
+    expect(jsx('svg:a', {}).namespaceURI).eq('http://www.w3.org/2000/svg')
+    expect(jsx('a', {}).namespaceURI).eq('http://www.w3.org/1999/xhtml')
+  })
+  it('should set camel case props as html and svg attributes', () => {
+    const input = jsx('input', { tabIndex: 2, readOnly: true, maxLength: 5, 'aria-label': 'Name', 'data-id': 'x' })
+    expect(input.getAttribute('tabindex')).eq('2')
+    expect(input.readOnly).eq(true)
+    expect(input.getAttribute('maxlength')).eq('5')
+    expect(input.getAttribute('aria-label')).eq('Name')
+    expect(input.getAttribute('data-id')).eq('x')
+    const svg = jsx('svg', { viewBox: '0 0 10 10', children: jsx('path', { strokeWidth: 2, strokeLinecap: 'round' }) })
+    expect(svg.getAttribute('viewBox')).eq('0 0 10 10')
+    expect(svg.firstChild.getAttribute('stroke-width')).eq('2')
+    expect(svg.firstChild.getAttribute('stroke-linecap')).eq('round')
+  })
+  it('should keep bound states working', async () => {
+    const name = fnstate('jerry')
+    const el = jsx('div', { className: name.bindAttr(), children: name.bindAs() })
+    name('bob')
+    await Promise.resolve()
+    expect(el.outerHTML).eq('<div class="bob">bob</div>')
+  })
+})